@@ -219,6 +219,29 @@ const puppeteer = require("puppeteer");
     const websiteUrl = process.env.WEBSITE_URL || "http://localhost:8080";
     const connectionTimeout = parseInt(process.env.CONNECTION_TIMEOUT) || 30000;
     console.log(`🌐 Navigating to: ${websiteUrl}`);
+
+    // Hand the robot ID and application server credentials to ConfigService before any page script runs
+    // (only values set in the environment, so the config files and settings panel keep their robotId otherwise)
+    const robotConfig = {};
+    if (process.env.ROBOT_ID) robotConfig.robotId = process.env.ROBOT_ID;
+    if (process.env.ROBOT_AUTH_TYPE) robotConfig.authType = process.env.ROBOT_AUTH_TYPE;
+    if (process.env.ROBOT_AUTH_TOKEN) robotConfig.authToken = process.env.ROBOT_AUTH_TOKEN;
+    if (process.env.ROBOT_API_KEY) robotConfig.apiKey = process.env.ROBOT_API_KEY;
+    if (process.env.ROBOT_AUTH_SECRET) robotConfig.authSecret = process.env.ROBOT_AUTH_SECRET;
+
+    await page.evaluateOnNewDocument((robotConfig) => {
+      window.__ROBOT_CONFIG__ = robotConfig;
+    }, robotConfig);
+
+    // Log connection state transitions (robot-connection-state events, see js/connection-state.js)
+    await page.exposeFunction("__onRobotConnectionState", (event) => {
+      const details = event.error ? ` - ${event.error.code}: ${event.error.message}` : "";
+      const retry = event.delay !== null ? ` (attempt ${event.attempt}, retry in ${Math.round(event.delay / 1000)}s)` : "";
+      console.log(`🔌 Connection: ${event.from} -> ${event.to}${retry}${details}`);
+    });
+    await page.evaluateOnNewDocument(() => {
+      window.addEventListener("robot-connection-state", (event) => window.__onRobotConnectionState(event.detail));
+    });
     
     await page.goto(websiteUrl, {
       waitUntil: "networkidle0",
@@ -668,7 +691,9 @@ const puppeteer = require("puppeteer");
           return statusElements.find(el => el && el.textContent)?.textContent || 'Unknown';
         });
         
-        console.log(`📊 Current status: ${status}`);
+        const connectionState = await page.evaluate(() => window.app && window.app.connectionState ? window.app.connectionState.getStatus() : null);
+        
+        console.log(`📊 Current status: ${status}`, connectionState ? `(state: ${connectionState.state}, attempt: ${connectionState.attempt})` : '');
         
         // Check for any error messages
         const errors = await page.evaluate(() => {
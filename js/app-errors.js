@@ -0,0 +1,160 @@
+/**
+ * Error taxonomy for Robot Audio Recorder
+ * Classifies connection and media failures so the UI and the reconnect logic decide on the
+ * error type instead of matching message text.
+ */
+
+/**
+ * Error types: code, message for the user, whether another attempt can succeed without
+ * changing anything, and what to do about it
+ */
+const APP_ERROR_TYPES = {
+    network: {
+        code: 'NETWORK',
+        userMessage: 'Unable to reach the application server.',
+        retryable: true,
+        remediation: 'Check the robot network connection and that the server is running.'
+    },
+    // Browsers report CORS rejections and unreachable cross-origin servers the same way, so keep retrying
+    cors: {
+        code: 'CORS',
+        userMessage: 'Request to the application server was blocked (CORS policy) or the server is unreachable.',
+        retryable: true,
+        remediation: 'Allow this origin on the application server, or serve the app through simple-proxy.js.'
+    },
+    auth: {
+        code: 'AUTH',
+        userMessage: 'The application server rejected the robot credentials.',
+        retryable: false,
+        remediation: 'Check the auth settings (auth.type and its credentials) for this robot.'
+    },
+    tokenServer: {
+        code: 'TOKEN_SERVER',
+        userMessage: 'The token server failed to issue a token.',
+        retryable: true,
+        remediation: 'The server reported an internal error; check the application server logs.'
+    },
+    // 408, 425 and 429: e.g. a fleet reconnecting at once; backing off is the remedy
+    rateLimited: {
+        code: 'RATE_LIMITED',
+        userMessage: 'The token server is busy or rate limiting requests.',
+        retryable: true,
+        remediation: 'Reconnects back off automatically; stagger robot restarts if this keeps happening.'
+    },
+    tokenRequest: {
+        code: 'TOKEN_REQUEST',
+        userMessage: 'The token server refused the token request.',
+        retryable: false,
+        remediation: 'Check the room name, api.token path and server endpoint settings.'
+    },
+    signalling: {
+        code: 'SIGNALLING',
+        userMessage: 'Unable to connect to the LiveKit server.',
+        retryable: true,
+        remediation: 'Check livekitServer.url and that the LiveKit server is reachable from the robot.'
+    },
+    mediaPermission: {
+        code: 'MEDIA_PERMISSION',
+        userMessage: 'Microphone access was denied.',
+        retryable: false,
+        remediation: 'Allow microphone access for this page (or start Chrome with --use-fake-ui-for-media-stream).'
+    },
+    deviceNotFound: {
+        code: 'DEVICE_NOT_FOUND',
+        userMessage: 'The selected audio device was not found.',
+        retryable: false,
+        remediation: 'Connect the device or choose another one in the device selection.'
+    },
+    unknown: {
+        code: 'UNKNOWN',
+        userMessage: 'An unexpected error occurred.',
+        retryable: true,
+        remediation: 'See the browser console for details.'
+    }
+};
+
+/**
+ * DOMException names raised by getUserMedia, by error type
+ */
+const MEDIA_ERROR_NAMES = {
+    mediaPermission: ['NotAllowedError', 'SecurityError', 'PermissionDeniedError'],
+    deviceNotFound: ['NotFoundError', 'OverconstrainedError', 'DevicesNotFoundError']
+};
+
+class AppError extends Error {
+    /**
+     * @param {string} type - Key of APP_ERROR_TYPES
+     * @param {string} message - Technical details (for logs)
+     * @param {Object} details - { status, cause }
+     */
+    constructor(type, message, { status = 0, cause = null } = {}) {
+        super(message);
+        const definition = APP_ERROR_TYPES[type] || APP_ERROR_TYPES.unknown;
+
+        this.name = 'AppError';
+        this.type = APP_ERROR_TYPES[type] ? type : 'unknown';
+        this.code = definition.code;
+        this.userMessage = definition.userMessage;
+        this.retryable = definition.retryable;
+        this.remediation = definition.remediation;
+        this.status = status;
+        this.cause = cause;
+    }
+
+    /**
+     * @returns {string} Message and remediation for display
+     */
+    describe() {
+        return `${this.userMessage} ${this.remediation}`;
+    }
+
+    /**
+     * Classify any error thrown while joining or publishing
+     * @param {Error} error - Error to classify
+     * @param {Object} context - { url } of the failed request, used to tell CORS from network failures
+     * @returns {AppError} The error itself if already classified, otherwise a wrapping AppError
+     */
+    static from(error, context = {}) {
+        if (error instanceof AppError) {
+            return error;
+        }
+
+        const message = (error && error.message) || String(error);
+
+        if (error instanceof HttpRequestError) {
+            const crossOrigin = context.url && new URL(context.url, window.location.href).origin !== window.location.origin;
+            const type = !error.timedOut && crossOrigin ? 'cors' : 'network';
+            return new AppError(type, message, { cause: error });
+        }
+
+        if (error && LivekitClient.ConnectionError && error instanceof LivekitClient.ConnectionError) {
+            return new AppError('signalling', message, { status: error.status || 0, cause: error });
+        }
+
+        const mediaType = Object.keys(MEDIA_ERROR_NAMES).find((type) => error && MEDIA_ERROR_NAMES[type].includes(error.name));
+        if (mediaType) {
+            return new AppError(mediaType, message, { cause: error });
+        }
+
+        return new AppError('unknown', message, { cause: error });
+    }
+
+    /**
+     * Classify an HTTP error response from the application server
+     * @param {Response} response - Fetch response (not ok)
+     * @returns {AppError} tokenServer for 5xx, rateLimited for the other RETRYABLE_STATUSES, tokenRequest otherwise
+     */
+    static fromResponse(response) {
+        let type = 'tokenRequest';
+        if (response.status >= 500) {
+            type = 'tokenServer';
+        } else if (RETRYABLE_STATUSES.includes(response.status)) {
+            type = 'rateLimited';
+        }
+        return new AppError(type, `HTTP error! status: ${response.status}, statusText: ${response.statusText}`, { status: response.status });
+    }
+}
+
+// Export for use in other modules
+window.AppError = AppError;
+window.APP_ERROR_TYPES = APP_ERROR_TYPES;
\ No newline at end of file
@@ -2,6 +2,33 @@
  * Main Application for Robot Audio Recorder (OpenVidu v3/LiveKit)
  * Vanilla JS implementation using OpenVidu v3 (LiveKit) API
  */
+
+/**
+ * Config paths whose changes only take effect after rejoining the room
+ */
+const REJOIN_CONFIG_PATHS = ['robotId', 'server', 'servers', 'serverSelection', 'livekitServer', 'api.token', 'openviduVersion'];
+
+/**
+ * Config paths read when the room is created; changes apply on the next connection
+ */
+const NEXT_CONNECTION_CONFIG_PATHS = ['livekit', 'connectionTimeout', 'features.autoReconnect', 'features.enableAudio', 'features.enableVideo'];
+
+/**
+ * Delay before a config-triggered rejoin, so a burst of file edits causes a single reconnect
+ */
+const REJOIN_DELAY = 2000;
+
+/**
+ * Connection status text and style per connection state
+ */
+const CONNECTION_STATE_LABELS = {
+    'idle': { text: 'Disconnected', className: 'disconnected' },
+    'connecting': { text: 'Connecting...', className: 'pending' },
+    'connected': { text: 'Connected', className: 'connected' },
+    'reconnecting': { text: 'Reconnecting...', className: 'pending' },
+    'backing-off': { text: 'Waiting to reconnect', className: 'pending' },
+    'failed': { text: 'Connection failed', className: 'disconnected' }
+};
 class RobotAudioRecorderApp {
     constructor() {
         // Initialize configuration service
@@ -9,11 +36,29 @@ class RobotAudioRecorderApp {
         
         // Services will be initialized after config is loaded
         this.openViduService = null;
-        this.audioStreamManager = new AudioStreamManager('streams-container');
+        this.audioLevelMonitor = new AudioLevelMonitor(this.configService);
+        this.audioOutputMixer = new AudioOutputMixer();
+        this.audioStreamManager = new AudioStreamManager('streams-container', {
+            levelMonitor: this.audioLevelMonitor,
+            outputMixer: this.audioOutputMixer,
+            configService: this.configService
+        });
+        this.recordingManager = new RecordingManager(this.configService);
+        this.speakerActivity = new SpeakerActivityTracker();
+        this.uploadManager = new RecordingUploadManager(this.configService);
+        this.settingsPanel = new SettingsPanel(this.configService);
+        this.connectionState = new ConnectionStateMachine(this.configService);
+        this.networkMonitor = new NetworkMonitor();
+        this.lifecycle = new RoomLifecycle({
+            join: (isCancelled) => this.connectRoom(isCancelled),
+            leave: () => this.disconnectRoom(),
+            abort: () => this.abortJoin()
+        });
 
         // LiveKit objects (v3)
         this.room = null;
         this.localParticipant = null;
+        this.livekitOptions = null;
 
         // Application state
         this.roomName = '';
@@ -21,9 +66,8 @@ class RobotAudioRecorderApp {
         this.speaker = true;
         this.microphone = true;
         this.isConnected = false;
-        this.connectionAttempts = 0;
-        this.maxConnectionAttempts = 3;
-        this.reconnectTimeout = null;
+        this.rejoinTimeout = null;
+        this.recordingTimer = null;
 
         // DOM elements
         this.elements = {};
@@ -42,7 +86,7 @@ class RobotAudioRecorderApp {
             await this.loadConfiguration();
 
             // Initialize OpenVidu service AFTER config is loaded
-            this.openViduService = new OpenViduV3Service(this.configService);
+            this.openViduService = this.createOpenViduService();
             console.log('OpenViduV3Service initialized with endpoint:', this.configService.getServerEndpoint());
 
             // Initialize DOM elements
@@ -50,10 +94,17 @@ class RobotAudioRecorderApp {
 
             // Setup event listeners
             this.setupEventListeners();
+            this.settingsPanel.init();
 
             // Apply initial configuration
             this.applyConfiguration();
 
+            // Resume recording uploads left over from previous sessions
+            await this.uploadManager.init();
+
+            // Pick up config file edits without a page reload
+            this.configService.startWatching();
+
             // Auto-join room
             await this.joinRoom();
 
@@ -72,20 +123,32 @@ class RobotAudioRecorderApp {
         // Load local configuration first
         this.configService.loadLocalConfig();
 
+        // URL and injected overrides (highest priority, never saved)
+        this.configService.loadOverrides();
+
         // Then try to load remote configuration
         await this.configService.loadAppConfig();
 
+        // Shared and per-robot profile settings
+        await this.configService.loadProfiles();
+
         // Apply configuration values
         const config = this.configService.getConfig();
         this.roomName = this.configService.getRobotId(); // Use robot ID as room name
         this.speaker = this.configService.getSpeakerState();
         this.microphone = this.configService.getMicrophoneState();
-        this.maxConnectionAttempts = this.configService.getMaxConnectionAttempts();
+        this.audioStreamManager.setLevelMonitoringEnabled(this.configService.isFeatureEnabled('audioLevelMonitoring'));
+        this.audioStreamManager.setMasterVolume(this.configService.getMasterVolume());
+        this.audioOutputMixer.setSinkId(this.configService.getAudioOutputDevice());
+        this.audioOutputMixer.setProcessing(this.configService.getOutputProcessingConfig());
 
         // Generate participant name
         this.generateParticipantInfo();
 
         console.log('Configuration loaded:', config);
+        console.log('Effective features:', Object.entries(this.configService.getFeatureFlags())
+            .map(([feature, enabled]) => `${feature}=${enabled ? 'on' : 'off'}`)
+            .join(', '));
     }
 
     /**
@@ -94,18 +157,39 @@ class RobotAudioRecorderApp {
     initializeElements() {
         this.elements = {
             connectionStatus: document.getElementById('connection-status'),
+            connectionStatusItem: document.getElementById('connection-status-item'),
             sessionId: document.getElementById('session-id'),
+            serverName: document.getElementById('server-name'),
             robotName: document.getElementById('robot-name'),
             speakerBtn: document.getElementById('speaker-btn'),
             speakerIcon: document.getElementById('speaker-icon'),
             speakerText: document.getElementById('speaker-text'),
+            masterVolumeSlider: document.getElementById('master-volume-slider'),
+            masterVolumeValue: document.getElementById('master-volume-value'),
             microphoneBtn: document.getElementById('microphone-btn'),
             microphoneIcon: document.getElementById('microphone-icon'),
             microphoneText: document.getElementById('microphone-text'),
             loading: document.getElementById('loading'),
+            offlineBanner: document.getElementById('offline-banner'),
             errorMessage: document.getElementById('error-message'),
             errorText: document.getElementById('error-text'),
-            retryBtn: document.getElementById('retry-btn')
+            retryBtn: document.getElementById('retry-btn'),
+            configWarnings: document.getElementById('config-warnings'),
+            configWarningsList: document.getElementById('config-warnings-list'),
+            localLevel: document.getElementById('local-level'),
+            localLevelFill: document.getElementById('local-level-fill'),
+            recordingStatus: document.getElementById('recording-status'),
+            recordingTimer: document.getElementById('recording-timer'),
+            recordingUploads: document.getElementById('recording-uploads'),
+            recordStartBtn: document.getElementById('record-start-btn'),
+            recordPauseBtn: document.getElementById('record-pause-btn'),
+            recordPauseIcon: document.getElementById('record-pause-icon'),
+            recordPauseText: document.getElementById('record-pause-text'),
+            recordStopBtn: document.getElementById('record-stop-btn'),
+            recordingFormatSelect: document.getElementById('recording-format-select'),
+            recordingModeSelect: document.getElementById('recording-mode-select'),
+            recordingsList: document.getElementById('recordings-list'),
+            clearRecordingsBtn: document.getElementById('clear-recordings-btn')
         };
 
         // Validate all elements exist
@@ -127,6 +211,13 @@ class RobotAudioRecorderApp {
             });
         }
 
+        // Master output volume
+        if (this.elements.masterVolumeSlider) {
+            this.elements.masterVolumeSlider.addEventListener('input', (event) => {
+                this.setMasterVolume(event.target.value / 100);
+            });
+        }
+
         // Microphone control
         if (this.elements.microphoneBtn) {
             this.elements.microphoneBtn.addEventListener('click', () => {
@@ -141,6 +232,28 @@ class RobotAudioRecorderApp {
             });
         }
 
+        // Recording controls
+        this.setupRecordingControls();
+
+        // Apply configuration changes without a reload
+        this.configService.onChange((diff, source) => {
+            this.handleConfigChange(diff, source);
+        });
+
+        // Connection state display and reconnect messages
+        this.connectionState.onTransition((event) => {
+            this.handleConnectionStateChange(event);
+        });
+
+        // Pause reconnects while offline and rejoin when the network returns
+        this.networkMonitor.onChange((change) => {
+            this.handleNetworkChange(change);
+        });
+        this.networkMonitor.start();
+        if (!this.networkMonitor.isOnline()) {
+            this.handleNetworkChange({ type: 'offline', ...this.networkMonitor.getInfo() });
+        }
+
         // Window beforeunload
         window.addEventListener('beforeunload', () => {
             this.leaveRoom();
@@ -163,10 +276,155 @@ class RobotAudioRecorderApp {
      * Apply initial configuration to UI
      */
     applyConfiguration() {
+        this.showConfigWarnings(this.getConfigProblems());
+        this.applyUiConfig();
         this.updateSessionInfo();
         this.updateSpeakerButton();
+        this.updateMasterVolume();
         this.updateMicrophoneButton();
         this.updateConnectionStatus(false);
+        this.updateRecordingControls();
+
+        if (this.elements.localLevel) {
+            this.elements.localLevel.style.display = this.configService.isFeatureEnabled('audioLevelMonitoring') ? 'flex' : 'none';
+        }
+        this.renderRecordingsList();
+    }
+
+    /**
+     * Apply theme and visibility settings from the ui config section
+     */
+    applyUiConfig() {
+        const ui = this.configService.getUiConfig();
+
+        document.documentElement.dataset.theme = ui.theme;
+        if (this.elements.connectionStatusItem) {
+            this.elements.connectionStatusItem.style.display = ui.showConnectionStatus ? '' : 'none';
+        }
+        this.audioStreamManager.setDisplayOptions({
+            showParticipantNames: ui.showParticipantNames,
+            showAudioIndicators: ui.showAudioIndicators
+        });
+
+        console.log('UI configuration applied:', ui);
+    }
+
+    /**
+     * React to configuration changes (ConfigService.updateConfig, the settings panel or a config file reload)
+     * @param {Array<Object>} diff - Changed values [{ path, from, to }]
+     * @param {string} source - 'update', 'settings', 'import', 'reset' or 'reload'
+     */
+    handleConfigChange(diff, source) {
+        const changedPaths = diff.map((change) => change.path);
+        const changed = (prefix) => changedPaths.some((path) => path === prefix || path.startsWith(`${prefix}.`));
+
+        this.showConfigWarnings(this.getConfigProblems());
+
+        if (changed('ui')) {
+            this.applyUiConfig();
+        }
+
+        // Runtime updates are applied by the code that made them; settings, imports, resets and file reloads are applied here
+        if (source === 'update') return;
+
+        if (changed('speaker') && this.configService.getSpeakerState() !== this.speaker) {
+            this.muteUnmuteSpeaker();
+        }
+        if (changed('microphone') && this.configService.getMicrophoneState() !== this.microphone) {
+            this.muteUnmuteMic();
+        }
+
+        if (changed('masterVolume')) {
+            this.audioStreamManager.setMasterVolume(this.configService.getMasterVolume());
+            this.updateMasterVolume();
+        }
+        if (changed('participantVolumes')) {
+            this.audioStreamManager.refreshVolumes();
+        }
+        if (changed('outputProcessing')) {
+            this.audioOutputMixer.setProcessing(this.configService.getOutputProcessingConfig());
+        }
+        if (changed('features.audioLevelMonitoring')) {
+            const enabled = this.configService.isFeatureEnabled('audioLevelMonitoring');
+            this.audioStreamManager.setLevelMonitoringEnabled(enabled);
+            if (this.elements.localLevel) {
+                this.elements.localLevel.style.display = enabled ? 'flex' : 'none';
+            }
+        }
+        if (changed('configReload')) {
+            this.configService.startWatching();
+        }
+        if (changed('audioOutputDevice')) {
+            this.applyAudioOutputDevice(this.configService.getAudioOutputDevice())
+                .catch((error) => console.error('Error applying reloaded output device:', error));
+        }
+        if (changed('audioDevice') || changed('microphoneProcessing')) {
+            this.refreshAudioDevices();
+            if (this.room && this.room.localParticipant && this.isConnected) {
+                this.republishMicrophone(this.configService.getAudioDevice())
+                    .catch((error) => console.error('Error applying reloaded microphone settings:', error));
+            }
+        }
+
+        const nextConnection = changedPaths.filter((path) => NEXT_CONNECTION_CONFIG_PATHS.some((prefix) => path === prefix || path.startsWith(`${prefix}.`)));
+        if (nextConnection.length > 0) {
+            console.log('Configuration changes will apply on the next connection:', nextConnection);
+        }
+
+        const rejoin = changedPaths.filter((path) => REJOIN_CONFIG_PATHS.some((prefix) => path === prefix || path.startsWith(`${prefix}.`)));
+        if (rejoin.length > 0) {
+            this.scheduleRejoin(rejoin);
+        }
+    }
+
+    /**
+     * Schedule a controlled rejoin after a configuration change that needs a new connection
+     * @param {Array<string>} paths - Changed config paths that require it
+     */
+    scheduleRejoin(paths) {
+        console.log('Configuration change requires rejoining the room:', paths);
+
+        if (this.rejoinTimeout) {
+            clearTimeout(this.rejoinTimeout);
+        }
+        this.rejoinTimeout = setTimeout(() => {
+            this.rejoinTimeout = null;
+            this.rejoinRoom();
+        }, REJOIN_DELAY);
+    }
+
+    /**
+     * Leave and rejoin the room with the current configuration
+     */
+    async rejoinRoom() {
+        // Finish running recordings so they are saved under the old room
+        if (this.recordingManager.getStatus().state !== 'inactive') {
+            console.log('Stopping recording before rejoining');
+            await this.stopRecording();
+        }
+
+        this.hideError();
+        this.connectionState.reset();
+
+        // Swap the session only once the old room is gone, so its teardown uses the old service
+        await this.lifecycle.retry(() => {
+            this.roomName = this.configService.getRobotId();
+            this.generateParticipantInfo();
+            this.openViduService.clearTokens();
+            this.openViduService = this.createOpenViduService();
+            this.updateSessionInfo();
+            console.log('Rejoining room with updated configuration:', this.roomName);
+        });
+    }
+
+    /**
+     * Create the token service for the current configuration
+     * @returns {OpenViduV3Service} Service whose token refreshes stop while idle or failed
+     */
+    createOpenViduService() {
+        return new OpenViduV3Service(this.configService, {
+            shouldRefresh: () => !['idle', 'failed'].includes(this.connectionState.state)
+        });
     }
 
     /**
@@ -180,12 +438,24 @@ class RobotAudioRecorderApp {
     }
 
     /**
-     * Join LiveKit room (OpenVidu v3)
+     * Join LiveKit room (OpenVidu v3), after any leave or retry already requested
      */
     async joinRoom() {
+        await this.lifecycle.join();
+    }
+
+    /**
+     * Connect to the room; only called by the lifecycle controller, one operation at a time
+     * @param {Function} isCancelled - Returns true once a leave or retry has replaced this join
+     */
+    async connectRoom(isCancelled) {
+        // Automatic reconnects arrive in the reconnecting state; anything else is a fresh connection
+        if (this.connectionState.state !== 'reconnecting' && !this.connectionState.transition('connecting')) {
+            return;
+        }
+
         try {
             this.showLoading(true);
-            this.hideError();
 
             console.log('Joining room:', this.roomName);
 
@@ -194,23 +464,54 @@ class RobotAudioRecorderApp {
                 throw new Error('OpenVidu service not initialized');
             }
 
-            // Get token from OpenVidu v3 server
-            const { token, livekitUrl } = await this.openViduService.getToken(this.roomName, this.participantName);
+            // Drop what is left of the previous (failed or lost) room
+            if (this.room) {
+                await this.teardownRoom();
+            }
+
+            // Try the application servers until one hands out a token its LiveKit server accepts
+            for (;;) {
+                // Get token from OpenVidu v3 server
+                const { token, livekitUrl } = await this.openViduService.getToken(this.roomName, this.participantName);
 
-            console.log('Connecting to LiveKit:', livekitUrl);
+                console.log('Connecting to LiveKit:', livekitUrl);
 
-            // Create LiveKit room
-            this.room = new LivekitClient.Room();
+                // Map the livekit config section onto room and connect options
+                this.livekitOptions = LiveKitOptionsBuilder.build(this.configService);
+                this.showConfigWarnings(this.getConfigProblems());
+                console.log('LiveKit room options:', this.livekitOptions.roomOptions);
+                console.log('LiveKit connect options:', this.livekitOptions.connectOptions);
 
-            // Setup room event listeners
-            this.setupRoomEvents();
+                // Create LiveKit room
+                this.room = new LivekitClient.Room(this.livekitOptions.roomOptions);
 
-            // Connect to room
-            await this.room.connect(livekitUrl, token);
+                // Setup room event listeners
+                this.setupRoomEvents();
 
+                try {
+                    // Connect to room
+                    await this.room.connect(livekitUrl, token, this.livekitOptions.connectOptions);
+                    break;
+                } catch (error) {
+                    if (isCancelled() || !this.openViduService.failover(error)) {
+                        throw error;
+                    }
+                    await this.teardownRoom();
+                }
+            }
+
+            // The queued leave or retry tears this room down
+            if (isCancelled()) {
+                console.log('Join cancelled after connecting');
+                this.showLoading(false);
+                return;
+            }
+
+            this.openViduService.reportConnected();
+            this.updateServerInfo();
             console.log('Successfully connected to room');
             this.updateConnectionStatus(true);
-            this.connectionAttempts = 0;
+            this.connectionState.transition('connected');
 
             // Enable microphone (audio only for robot)
             if (this.microphone) {
@@ -220,9 +521,20 @@ class RobotAudioRecorderApp {
             this.showLoading(false);
 
         } catch (error) {
-            console.error('Error joining room:', error);
             this.showLoading(false);
-            this.handleConnectionError(error);
+
+            // A leave or retry cancelled the join; it decides what happens next
+            if (isCancelled() || (error instanceof HttpRequestError && error.cancelled)) {
+                console.log('Join cancelled:', error.message);
+                return;
+            }
+            console.error('Error joining room:', error);
+
+            // A rejected token must not be reused for the next attempt
+            if (this.openViduService && this.openViduService.isTokenRejected(error)) {
+                this.openViduService.invalidateToken(this.roomName, this.participantName);
+            }
+            this.handleConnectionError(AppError.from(error));
         }
     }
 
@@ -236,7 +548,6 @@ class RobotAudioRecorderApp {
         this.room.on(LivekitClient.RoomEvent.Connected, () => {
             console.log('Room connected');
             this.updateConnectionStatus(true);
-            this.connectionAttempts = 0;
         });
 
         this.room.on(LivekitClient.RoomEvent.Disconnected, (reason) => {
@@ -244,16 +555,17 @@ class RobotAudioRecorderApp {
             this.handleDisconnection();
         });
 
+        // LiveKit resuming the connection on its own
         this.room.on(LivekitClient.RoomEvent.Reconnecting, () => {
             console.log('Room reconnecting...');
             this.updateConnectionStatus(false);
-            this.showError('Reconnecting...');
+            this.connectionState.transition('reconnecting');
         });
 
         this.room.on(LivekitClient.RoomEvent.Reconnected, () => {
             console.log('Room reconnected');
             this.updateConnectionStatus(true);
-            this.hideError();
+            this.connectionState.transition('connected');
         });
 
         // Participant events
@@ -278,14 +590,68 @@ class RobotAudioRecorderApp {
             this.handleTrackUnsubscribed(track, publication, participant);
         });
 
+        // Active speaker updates
+        this.room.on(LivekitClient.RoomEvent.ActiveSpeakersChanged, (speakers) => {
+            this.handleActiveSpeakersChanged(speakers);
+        });
+
         this.room.on(LivekitClient.RoomEvent.LocalTrackPublished, (publication, participant) => {
             console.log('Local track published:', publication.kind);
             this.localParticipant = participant;
+
+            // Record the robot's outgoing microphone
+            if (publication.source === LivekitClient.Track.Source.Microphone && publication.track) {
+                this.recordingManager.addSource(
+                    'local_microphone',
+                    publication.track.mediaStreamTrack,
+                    `local-${this.participantName}`,
+                    'local'
+                );
+                this.startLocalLevelMeter(publication.track.mediaStreamTrack);
+            }
+        });
+
+        this.room.on(LivekitClient.RoomEvent.LocalTrackUnpublished, (publication) => {
+            console.log('Local track unpublished:', publication.kind);
+            if (publication.source === LivekitClient.Track.Source.Microphone) {
+                this.recordingManager.removeSource('local_microphone');
+                this.stopLocalLevelMeter();
+            }
         });
 
         console.log('Room event handlers setup complete');
     }
 
+    /**
+     * Start metering the local microphone
+     * @param {MediaStreamTrack} mediaStreamTrack - Local microphone track
+     */
+    startLocalLevelMeter(mediaStreamTrack) {
+        if (!this.configService.isFeatureEnabled('audioLevelMonitoring')) return;
+
+        this.audioLevelMonitor.watch('local_microphone', mediaStreamTrack, ({ level, speaking }) => {
+            if (this.elements.localLevelFill) {
+                this.elements.localLevelFill.style.transform = `scaleX(${level})`;
+            }
+            if (this.elements.localLevel) {
+                this.elements.localLevel.classList.toggle('speaking', speaking);
+            }
+        });
+    }
+
+    /**
+     * Stop metering the local microphone
+     */
+    stopLocalLevelMeter() {
+        this.audioLevelMonitor.unwatch('local_microphone');
+        if (this.elements.localLevelFill) {
+            this.elements.localLevelFill.style.transform = 'scaleX(0)';
+        }
+        if (this.elements.localLevel) {
+            this.elements.localLevel.classList.remove('speaking', 'active-speaker');
+        }
+    }
+
     /**
      * Get available audio input devices
      */
@@ -330,44 +696,100 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Create a local microphone track using the configured processing constraints
+     * @param {string} deviceId - Audio input device ID ('' for default)
+     * @returns {Promise<LocalAudioTrack>} Local audio track
+     */
+    async createMicrophoneTrack(deviceId) {
+        const captureOptions = {
+            ...(this.livekitOptions ? this.livekitOptions.audioCaptureOptions : {}),
+            ...this.configService.getMicrophoneCaptureOptions(deviceId)
+        };
+        console.log('Creating microphone track with options:', captureOptions);
+
+        const audioTrack = await LivekitClient.createLocalAudioTrack(captureOptions);
+        await this.applyMicrophoneFilter(audioTrack);
+        return audioTrack;
+    }
+
+    /**
+     * Attach the optional high-pass filter to a microphone track
+     * @param {LocalAudioTrack} audioTrack - Local audio track
+     */
+    async applyMicrophoneFilter(audioTrack) {
+        const { highPassFilter } = this.configService.getMicrophoneProcessingConfig();
+        if (!highPassFilter.enabled) return;
+
+        const audioContext = SharedAudioContext.get();
+        if (!audioContext || typeof audioTrack.setProcessor !== 'function') {
+            console.warn('High-pass filter not supported, publishing unfiltered microphone');
+            return;
+        }
+
+        try {
+            // LiveKit only runs audio processors on tracks that have an AudioContext
+            audioTrack.setAudioContext(audioContext);
+            await audioTrack.setProcessor(new HighPassFilterProcessor(highPassFilter.frequency));
+        } catch (error) {
+            console.error('Error applying microphone high-pass filter:', error);
+        }
+    }
+
+    /**
+     * Replace the published microphone track (device or processing change)
+     * @param {string} deviceId - Audio input device ID ('' for default)
+     */
+    async republishMicrophone(deviceId) {
+        if (!this.configService.isFeatureEnabled('enableAudio')) {
+            console.log('Audio disabled by features.enableAudio, not publishing microphone');
+            return;
+        }
+
+        const localParticipant = this.room.localParticipant;
+
+        // First, unpublish existing audio track
+        const existingTrack = localParticipant.getTrackPublication(LivekitClient.Track.Source.Microphone);
+        if (existingTrack && existingTrack.track) {
+            await localParticipant.unpublishTrack(existingTrack.track);
+            console.log('Unpublished existing audio track');
+        }
+
+        // Create and publish the new track
+        const audioTrack = await this.createMicrophoneTrack(deviceId);
+        await localParticipant.publishTrack(audioTrack, { source: LivekitClient.Track.Source.Microphone });
+
+        // Keep the user's mute choice across track replacement
+        if (!this.microphone) {
+            await audioTrack.mute();
+        }
+
+        this.localParticipant = localParticipant;
+    }
+
     /**
      * Enable microphone with specific device selection
      */
     async enableMicrophone() {
         try {
             if (this.room && this.room.localParticipant) {
-                const config = this.configService.getConfig();
-                const preferredDeviceId = config.audioDevice;
-                
-                if (preferredDeviceId) {
-                    console.log('Enabling microphone with specific device:', preferredDeviceId);
-                    
-                    // Create audio track with specific device
-                    const audioTrack = await LivekitClient.createLocalAudioTrack({
-                        deviceId: preferredDeviceId,
-                        echoCancellation: true,
-                        noiseSuppression: true,
-                        autoGainControl: true
-                    });
-                    
-                    // Publish the track
-                    await this.room.localParticipant.publishTrack(audioTrack);
-                    console.log('Microphone enabled with device:', preferredDeviceId);
-                } else {
-                    // Use default microphone
-                    console.log('Enabling default microphone');
-                    await this.room.localParticipant.enableMicrophone();
-                }
-                
-                this.localParticipant = this.room.localParticipant;
+                const preferredDeviceId = this.configService.getAudioDevice();
+                console.log('Enabling microphone with device:', preferredDeviceId || 'default');
+
+                await this.republishMicrophone(preferredDeviceId);
                 console.log('Microphone enabled and track published');
-                
-                // Also ensure microphone is enabled if tracks already exist
-                await this.room.localParticipant.setMicrophoneEnabled(true);
             }
         } catch (error) {
-            console.error('Error enabling microphone:', error);
-            // Try fallback method
+            const mediaError = AppError.from(error);
+            console.error(`Error enabling microphone (${mediaError.code}):`, error);
+
+            // Without permission the default device fails the same way
+            if (mediaError.type === 'mediaPermission') {
+                this.showError(mediaError.describe());
+                return;
+            }
+
+            // Try fallback method (default device)
             try {
                 if (this.room && this.room.localParticipant) {
                     await this.room.localParticipant.setMicrophoneEnabled(true);
@@ -387,24 +809,7 @@ class RobotAudioRecorderApp {
             console.log('Switching to audio input device:', deviceId);
             
             if (this.room && this.room.localParticipant) {
-                // First, unpublish existing audio track
-                console.log(this.room.localParticipant);
-                const existingTrack = this.room.localParticipant.getTrackPublication(LivekitClient.Track.Source.Microphone);
-                if (existingTrack) {
-                    await this.room.localParticipant.unpublishTrack(existingTrack.track);
-                    console.log('Unpublished existing audio track');
-                }
-                
-                // Create new audio track with the specified device
-                const audioTrack = await LivekitClient.createLocalAudioTrack({
-                    deviceId: deviceId,
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                });
-                
-                // Publish the new track
-                await this.room.localParticipant.publishTrack(audioTrack);
+                await this.republishMicrophone(deviceId);
                 
                 // Update configuration
                 this.configService.updateConfig({ audioDevice: deviceId });
@@ -418,6 +823,30 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Change microphone processing settings and re-create the microphone track
+     * @param {Object} updates - Microphone processing updates
+     */
+    async updateMicrophoneProcessing(updates) {
+        const current = this.configService.getMicrophoneProcessingConfig();
+        this.configService.updateConfig({
+            microphoneProcessing: {
+                ...current,
+                ...updates,
+                highPassFilter: { ...current.highPassFilter, ...updates.highPassFilter }
+            }
+        });
+
+        if (this.room && this.room.localParticipant && this.isConnected) {
+            try {
+                await this.republishMicrophone(this.configService.getAudioDevice());
+                console.log('Microphone re-created with new processing settings');
+            } catch (error) {
+                console.error('Error applying microphone processing settings:', error);
+            }
+        }
+    }
+
     /**
      * Switch to a different audio output device
      */
@@ -425,23 +854,7 @@ class RobotAudioRecorderApp {
         try {
             console.log('Switching to audio output device:', deviceId);
             
-            // Get all audio elements in the streams container
-            const audioElements = document.querySelectorAll('audio');
-            
-            const promises = Array.from(audioElements).map(async (audioElement) => {
-                if (typeof audioElement.setSinkId === 'function') {
-                    try {
-                        await audioElement.setSinkId(deviceId);
-                        console.log('Audio element sink set to:', deviceId);
-                    } catch (error) {
-                        console.warn('Failed to set sink for audio element:', error);
-                    }
-                } else {
-                    console.warn('setSinkId not supported on this audio element');
-                }
-            });
-            
-            await Promise.allSettled(promises);
+            await this.applyAudioOutputDevice(deviceId);
             
             // Update configuration
             this.configService.updateConfig({ audioOutputDevice: deviceId });
@@ -455,6 +868,36 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Route all remote audio to an output device (without saving it)
+     * @param {string} deviceId - Audio output device ID ('' for default)
+     */
+    async applyAudioOutputDevice(deviceId) {
+        // Get all audio elements in the streams container
+        const audioElements = document.querySelectorAll('audio');
+        
+        const promises = Array.from(audioElements).map(async (audioElement) => {
+            if (typeof audioElement.setSinkId === 'function') {
+                try {
+                    await audioElement.setSinkId(deviceId);
+                    console.log('Audio element sink set to:', deviceId);
+                } catch (error) {
+                    console.warn('Failed to set sink for audio element:', error);
+                }
+            } else {
+                console.warn('setSinkId not supported on this audio element');
+            }
+        });
+        
+        await Promise.allSettled(promises);
+
+        // Audio played through the output mixer follows the AudioContext sink; if the browser
+        // cannot move the mixer to this device, streams fall back to element playback
+        await this.audioOutputMixer.setSinkId(deviceId);
+        this.audioStreamManager.refreshOutputs();
+        this.showConfigWarnings(this.getConfigProblems());
+    }
+
     /**
      * Setup audio device selection UI and handlers
      */
@@ -472,6 +915,8 @@ class RobotAudioRecorderApp {
             const audioDeviceSelect = document.getElementById('audio-device-select');
             const audioOutputDeviceSelect = document.getElementById('audio-output-device-select');
             const refreshDevicesBtn = document.getElementById('refresh-devices-btn');
+
+            this.setupMicrophoneProcessingControls();
             
             if (audioDeviceSelect) {
                 audioDeviceSelect.addEventListener('change', async (event) => {
@@ -507,6 +952,41 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Setup microphone processing checkboxes in the device selection panel
+     */
+    setupMicrophoneProcessingControls() {
+        const settings = this.configService.getMicrophoneProcessingConfig();
+        const toggles = {
+            'mic-echo-cancellation': 'echoCancellation',
+            'mic-noise-suppression': 'noiseSuppression',
+            'mic-auto-gain-control': 'autoGainControl'
+        };
+
+        Object.entries(toggles).forEach(([elementId, key]) => {
+            const checkbox = document.getElementById(elementId);
+            if (!checkbox) return;
+
+            checkbox.checked = settings[key];
+            checkbox.addEventListener('change', (event) => {
+                this.updateMicrophoneProcessing({ [key]: event.target.checked });
+            });
+        });
+
+        const highPassCheckbox = document.getElementById('mic-high-pass-filter');
+        if (highPassCheckbox) {
+            highPassCheckbox.checked = settings.highPassFilter.enabled;
+            highPassCheckbox.addEventListener('change', (event) => {
+                this.updateMicrophoneProcessing({ highPassFilter: { enabled: event.target.checked } });
+            });
+        }
+
+        const highPassLabel = document.getElementById('mic-high-pass-frequency');
+        if (highPassLabel) {
+            highPassLabel.textContent = `${settings.highPassFilter.frequency} Hz`;
+        }
+    }
+
     /**
      * Refresh the list of audio input and output devices
      */
@@ -597,11 +1077,46 @@ class RobotAudioRecorderApp {
         });
     }
 
+    /**
+     * Handle active speaker changes (highlight speakers, accumulate talk time)
+     * @param {Array} speakers - Participants currently speaking, loudest first
+     */
+    handleActiveSpeakersChanged(speakers) {
+        const identities = speakers.map((participant) => participant.identity);
+
+        this.speakerActivity.update(identities);
+        this.audioStreamManager.setActiveSpeakers(identities);
+
+        if (this.elements.localLevel && this.room && this.room.localParticipant) {
+            this.elements.localLevel.classList.toggle(
+                'active-speaker',
+                identities.includes(this.room.localParticipant.identity)
+            );
+        }
+    }
+
     /**
      * Handle track subscribed (audio streams)
      */
     async handleTrackSubscribed(track, publication, participant) {
         try {
+            // Drop subscriptions to media kinds the features config turns off
+            if (!this.isTrackKindEnabled(track.kind)) {
+                console.log(`Ignoring ${track.kind} track from ${participant.identity} (disabled by features)`);
+                publication.setSubscribed(false);
+                return;
+            }
+
+            if (track.kind === LivekitClient.Track.Kind.Video) {
+                const videoElement = track.attach();
+                videoElement.id = `video-${participant.identity}-${track.sid}`;
+                videoElement.className = 'remote-video';
+                videoElement.muted = true; // Audio is played separately
+                (document.getElementById('streams-container') || document.body).appendChild(videoElement);
+                console.log('Video element attached for:', participant.identity);
+                return;
+            }
+
             if (track.kind === LivekitClient.Track.Kind.Audio) {
                 console.log('Handling audio track subscribed from:', participant.identity);
                 
@@ -620,6 +1135,12 @@ class RobotAudioRecorderApp {
                     } catch (error) {
                         console.warn('Failed to set audio output device for new element:', error);
                     }
+
+                    // The room was torn down (and the track detached) while the sink was being set
+                    if (!track.attachedElements.includes(audioElement)) {
+                        console.log('Track detached before its audio element was added:', participant.identity);
+                        return;
+                    }
                 }
                 
                 // Add the audio element to the streams container
@@ -653,29 +1174,50 @@ class RobotAudioRecorderApp {
                     audioElement: audioElement
                 };
 
-                // Add to stream manager
+                // Add to stream manager (also applies the remembered participant volume)
                 this.audioStreamManager.addStream(streamManager, participant.identity);
 
+                // Make the track available to the recorder
+                this.recordingManager.addSource(
+                    streamManager.stream.streamId,
+                    track.mediaStreamTrack,
+                    participant.identity,
+                    'remote'
+                );
+
                 // Apply speaker setting
-                if (publication && publication.setEnabled) {
-                    publication.setEnabled(this.speaker);
-                }
-                
-                // Also control audio element based on speaker setting
-                if (audioElement) {
-                    audioElement.muted = !this.speaker;
-                }
+                this.audioStreamManager.setStreamMuted(streamManager.stream.streamId, !this.speaker);
             }
         } catch (error) {
             console.error('Error handling track subscribed:', error);
         }
     }
 
+    /**
+     * Check whether tracks of a kind should be received, per features.enableAudio/enableVideo
+     * @param {string} kind - LiveKit track kind
+     * @returns {boolean} True if enabled
+     */
+    isTrackKindEnabled(kind) {
+        if (kind === LivekitClient.Track.Kind.Video) {
+            return this.configService.isFeatureEnabled('enableVideo');
+        }
+        if (kind === LivekitClient.Track.Kind.Audio) {
+            return this.configService.isFeatureEnabled('enableAudio');
+        }
+        return true;
+    }
+
     /**
      * Handle track unsubscribed
      */
     handleTrackUnsubscribed(track, publication, participant) {
         try {
+            if (track.kind === LivekitClient.Track.Kind.Video) {
+                track.detach().forEach((element) => element.remove());
+                return;
+            }
+
             if (track.kind === LivekitClient.Track.Kind.Audio) {
                 console.log('Handling audio track unsubscribed from:', participant.identity);
                 
@@ -692,6 +1234,7 @@ class RobotAudioRecorderApp {
                 
                 const streamId = `${participant.identity}_${track.sid}`;
                 this.audioStreamManager.removeStream(streamId);
+                this.recordingManager.removeSource(streamId);
             }
         } catch (error) {
             console.error('Error handling track unsubscribed:', error);
@@ -700,108 +1243,205 @@ class RobotAudioRecorderApp {
 
     /**
      * Handle connection errors
+     * @param {AppError} error - Classified error
      */
     handleConnectionError(error) {
-        console.error('Connection error:', error);
+        console.error(`Connection error (${error.code}):`, error.message);
         this.updateConnectionStatus(false);
-        
-        // Provide specific error messages for common issues
-        let errorMessage = error.message;
-        
-        if (error.message.includes('CORS Error')) {
-            errorMessage = 'Network connection blocked by CORS policy. Please check server configuration or try using a different network.';
-        } else if (error.message.includes('Failed to fetch')) {
-            errorMessage = 'Unable to connect to server. Please check your internet connection and server availability.';
-        } else if (error.message.includes('HTTP error! status: 0')) {
-            errorMessage = 'Network request blocked. This might be due to CORS policy or network connectivity issues.';
+
+        if (!this.configService.isFeatureEnabled('autoReconnect')) {
+            console.log('Auto-reconnect disabled, waiting for manual retry');
+            this.connectionState.transition('failed', { error });
+            return;
         }
-        
-        this.showError(`Connection failed: ${errorMessage}`);
+
+        // Backs off and rejoins, or gives up for non-retryable errors and used-up attempts
+        this.connectionState.scheduleReconnect(error, () => this.joinRoom());
     }
 
     /**
      * Handle disconnection with reconnection logic
      */
     handleDisconnection() {
+        // Failed connects are handled by connectRoom, and leaveRoom disconnects on purpose
+        const state = this.connectionState.state;
+        if (this.lifecycle.joining || (state !== 'connected' && state !== 'reconnecting')) {
+            console.log(`Ignoring disconnection in state ${state}`);
+            return;
+        }
+
         console.log('Handling disconnection');
         
         this.updateConnectionStatus(false);
         this.audioStreamManager.clearAllStreams();
-        
-        if (this.connectionAttempts < this.maxConnectionAttempts) {
-            this.connectionAttempts++;
-            console.log(`Attempting to reconnect (${this.connectionAttempts}/${this.maxConnectionAttempts})...`);
-            
-            // Clear any existing timeout
-            if (this.reconnectTimeout) {
-                clearTimeout(this.reconnectTimeout);
+        this.recordingManager.clearSources();
+        this.speakerActivity.update([]);
+
+        if (!this.configService.isFeatureEnabled('autoReconnect')) {
+            console.log('Auto-reconnect disabled, waiting for manual retry');
+            this.connectionState.transition('failed');
+            return;
+        }
+
+        this.connectionState.scheduleReconnect(null, () => this.joinRoom());
+    }
+
+    /**
+     * Show connection state changes in the status bar and error banner
+     * @param {Object} event - Transition from ConnectionStateMachine
+     */
+    handleConnectionStateChange(event) {
+        const label = CONNECTION_STATE_LABELS[event.to];
+        if (this.elements.connectionStatus) {
+            this.elements.connectionStatus.textContent = label.text;
+            this.elements.connectionStatus.className = `value ${label.className}`;
+        }
+
+        const error = this.connectionState.lastError;
+        if (event.to === 'connecting' || event.to === 'connected') {
+            this.hideError();
+        } else if (event.to === 'reconnecting') {
+            this.showError('Reconnecting...');
+        } else if (event.to === 'backing-off' && event.paused) {
+            // The offline banner explains the wait
+            this.hideError();
+        } else if (event.to === 'backing-off') {
+            const reason = error ? error.userMessage : 'Connection lost.';
+            const attempt = event.maxAttempts ? `${event.attempt}/${event.maxAttempts}` : event.attempt;
+            this.showError(`${reason} Reconnecting in ${Math.ceil(event.delay / 1000)}s (attempt ${attempt})`);
+        } else if (event.to === 'failed') {
+            this.showError(error
+                ? `Connection failed: ${error.describe()}`
+                : 'Connection lost. Press Retry Connection to reconnect.');
+        }
+    }
+
+    /**
+     * React to the browser going offline, coming back online or switching networks
+     * @param {Object} change - Change from NetworkMonitor
+     */
+    handleNetworkChange(change) {
+        this.updateOfflineBanner(!change.online);
+
+        if (change.type === 'offline') {
+            this.connectionState.setPaused(true);
+            return;
+        }
+
+        if (change.type === 'online') {
+            // Resumes a reconnect that was waiting for the network
+            this.connectionState.setPaused(false);
+
+            // Attempts may have run out before the browser noticed it was offline
+            const error = this.connectionState.lastError;
+            if (this.connectionState.state === 'failed' && (!error || error.retryable) &&
+                this.configService.isFeatureEnabled('autoReconnect')) {
+                console.log('Network is back, rejoining');
+                this.retryConnection();
             }
-            
-            // Show reconnecting status
-            this.showError(`Connection lost. Reconnecting... (${this.connectionAttempts}/${this.maxConnectionAttempts})`);
-            
-            // Attempt to reconnect after a delay
-            this.reconnectTimeout = setTimeout(async () => {
-                try {
-                    this.leaveRoom();
-                    await this.joinRoom();
-                } catch (error) {
-                    console.error('Reconnection failed:', error);
-                    this.handleConnectionError(error);
-                }
-            }, this.configService.getReconnectDelay());
-            
-        } else {
-            console.log('Max reconnection attempts reached');
-            this.connectionAttempts = 0;
-            this.showError('Connection lost. Please check your network and try again.');
+            return;
+        }
+
+        // A new network (e.g. another access point) may fix what failed on the old one
+        if (this.connectionState.retryNow()) {
+            console.log('Network changed, reconnecting without waiting for the backoff');
         }
     }
 
     /**
-     * Leave room and cleanup
+     * Leave room and cleanup, cancelling a join in progress
      */
     async leaveRoom() {
+        await this.lifecycle.leave();
+    }
+
+    /**
+     * Leave the room; only called by the lifecycle controller, one operation at a time
+     */
+    async disconnectRoom() {
         console.log('Leaving room');
 
-        if (this.reconnectTimeout) {
-            clearTimeout(this.reconnectTimeout);
-            this.reconnectTimeout = null;
+        // Back to idle first, so the room's Disconnected event is not taken for a dropped connection
+        if (this.connectionState.state !== 'idle') {
+            this.connectionState.transition('idle');
+        }
+
+        await this.teardownRoom();
+
+        // Stop proactive refreshes; nobody needs a token until the next join
+        if (this.openViduService) {
+            this.openViduService.clearTokens();
+        }
+
+        // Talk time is per session; reconnects after a dropped connection keep counting
+        this.speakerActivity.reset();
+    }
+
+    /**
+     * Interrupt the join in progress: stop its token and health requests and abort its connect
+     */
+    abortJoin() {
+        if (this.openViduService) {
+            this.openViduService.cancelRequests();
+        }
+        if (this.room) {
+            this.room.disconnect().catch((error) => {
+                console.warn('Error aborting room connection:', error);
+            });
         }
+    }
 
+    /**
+     * Disconnect the current room, detach its listeners and media elements and clear its streams
+     */
+    async teardownRoom() {
         if (this.room) {
+            const room = this.room;
+
+            // Without listeners our own disconnect cannot be taken for a dropped connection
+            this.detachRemoteTracks(room);
+            room.removeAllListeners();
             try {
-                await this.room.disconnect();
+                await room.disconnect();
             } catch (error) {
                 console.warn('Error disconnecting from room:', error);
             }
         }
 
         this.updateConnectionStatus(false);
-        this.connectionAttempts = 0;
         this.audioStreamManager.clearAllStreams();
+        this.recordingManager.clearSources();
+        this.stopLocalLevelMeter();
+        this.speakerActivity.update([]);
         
-        // Cleanup
+        // Cleanup (the participant name is kept, so reconnects can reuse the cached token)
         this.localParticipant = null;
         this.room = null;
-        
-        this.generateParticipantInfo();
     }
 
     /**
-     * Retry connection
+     * Remove the audio and video elements attached for remote tracks
+     * @param {Room} room - Room being torn down
+     */
+    detachRemoteTracks(room) {
+        room.remoteParticipants.forEach((participant) => {
+            participant.trackPublications.forEach((publication) => {
+                if (publication.track) {
+                    publication.track.detach().forEach((element) => element.remove());
+                }
+            });
+        });
+    }
+
+    /**
+     * Retry connection (leave and join again as one step, replacing a join in progress)
      */
     async retryConnection() {
         console.log('Retrying connection');
         this.hideError();
-        this.connectionAttempts = 0;
-        
-        try {
-            await this.leaveRoom();
-            await this.joinRoom();
-        } catch (error) {
-            this.handleConnectionError(error);
-        }
+        this.connectionState.reset();
+
+        await this.lifecycle.retry();
     }
 
     /**
@@ -809,11 +1449,20 @@ class RobotAudioRecorderApp {
      */
     checkConnectionStatus() {
         const isConnected = this.room && this.room.state === LivekitClient.ConnectionState.Connected;
+        const state = this.connectionState.state;
         if (isConnected) {
             console.log('Connection status: OK');
-        } else {
-            console.log('Connection status: Disconnected');
-            // Optionally trigger reconnection
+            return;
+        }
+
+        console.log(`Connection status: Disconnected (${state})`);
+        if (!this.networkMonitor.isOnline()) {
+            console.log('Offline, reconnecting once the network returns');
+        } else if (state === 'backing-off') {
+            this.connectionState.retryNow();
+        } else if (state === 'connected') {
+            // The room dropped without a Disconnected event
+            this.handleDisconnection();
         }
     }
 
@@ -850,10 +1499,35 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Set master output volume (applies on top of per-participant volumes)
+     * @param {number} volume - Linear volume, 0 to 2 (200%)
+     */
+    setMasterVolume(volume) {
+        this.audioStreamManager.setMasterVolume(volume);
+        this.configService.setMasterVolume(this.audioStreamManager.masterVolume);
+        this.updateMasterVolume();
+    }
+
+    /**
+     * Update master volume slider appearance
+     */
+    updateMasterVolume() {
+        const percent = Math.round(this.audioStreamManager.masterVolume * 100);
+        if (this.elements.masterVolumeSlider) {
+            this.elements.masterVolumeSlider.value = percent;
+        }
+        if (this.elements.masterVolumeValue) {
+            this.elements.masterVolumeValue.textContent = `${percent}%`;
+        }
+    }
+
     /**
      * Toggle microphone mute/unmute
      */
     async muteUnmuteMic() {
+        if (!this.configService.isFeatureEnabled('enableAudio')) return;
+
         try {
             this.microphone = !this.microphone;
             console.log(`Microphone ${this.microphone ? 'unmuted' : 'muted'}`);
@@ -874,6 +1548,259 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Setup recording control handlers
+     */
+    setupRecordingControls() {
+        const recordingConfig = this.configService.getRecordingConfig();
+
+        if (this.elements.recordStartBtn) {
+            this.elements.recordStartBtn.addEventListener('click', () => {
+                this.startRecording();
+            });
+        }
+
+        if (this.elements.recordPauseBtn) {
+            this.elements.recordPauseBtn.addEventListener('click', () => {
+                this.togglePauseRecording();
+            });
+        }
+
+        if (this.elements.recordStopBtn) {
+            this.elements.recordStopBtn.addEventListener('click', () => {
+                this.stopRecording();
+            });
+        }
+
+        if (this.elements.clearRecordingsBtn) {
+            this.elements.clearRecordingsBtn.addEventListener('click', () => {
+                this.recordingManager.clearRecordings();
+            });
+        }
+
+        if (this.elements.recordingFormatSelect) {
+            // Hide formats this browser cannot produce
+            Array.from(this.elements.recordingFormatSelect.options).forEach((option) => {
+                option.disabled = !RecordingManager.isFormatSupported(option.value);
+            });
+            this.elements.recordingFormatSelect.value = recordingConfig.format;
+            this.elements.recordingFormatSelect.addEventListener('change', (event) => {
+                this.updateRecordingConfig({ format: event.target.value });
+            });
+        }
+
+        if (this.elements.recordingModeSelect) {
+            this.elements.recordingModeSelect.value = recordingConfig.mode;
+            this.elements.recordingModeSelect.addEventListener('change', (event) => {
+                this.updateRecordingConfig({ mode: event.target.value });
+            });
+        }
+
+        if (this.elements.recordingsList) {
+            this.elements.recordingsList.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-recording-id]');
+                if (!button) return;
+
+                if (button.dataset.action === 'download') {
+                    this.recordingManager.download(button.dataset.recordingId);
+                } else if (button.dataset.action === 'delete') {
+                    this.recordingManager.deleteRecording(button.dataset.recordingId);
+                }
+            });
+        }
+
+        this.recordingManager.onUpdate(() => {
+            this.updateRecordingControls();
+            this.renderRecordingsList();
+        });
+
+        // Queue finished recordings for upload
+        this.recordingManager.onRecordingComplete((recording) => {
+            if (this.uploadManager.isEnabled()) {
+                this.uploadManager.enqueue(recording).catch((error) => {
+                    console.error('Error queueing recording for upload:', error);
+                });
+            }
+        });
+
+        this.uploadManager.onUpdate(() => {
+            this.updateUploadStatus();
+            this.renderRecordingsList();
+        });
+    }
+
+    /**
+     * Update recording settings (applies to the next recording session)
+     * @param {Object} updates - Recording setting updates
+     */
+    updateRecordingConfig(updates) {
+        this.configService.updateConfig({
+            recording: {
+                ...this.configService.getRecordingConfig(),
+                ...updates
+            }
+        });
+    }
+
+    /**
+     * Start recording the session
+     */
+    async startRecording() {
+        try {
+            if (!await this.recordingManager.start()) return;
+
+            if (this.recordingTimer) {
+                clearInterval(this.recordingTimer);
+            }
+            this.recordingTimer = setInterval(() => {
+                this.updateRecordingTimer();
+            }, 1000);
+        } catch (error) {
+            console.error('Error starting recording:', error);
+            this.showError(`Recording failed: ${error.message}`);
+        }
+    }
+
+    /**
+     * Pause or resume the running recording
+     */
+    togglePauseRecording() {
+        if (this.recordingManager.state === 'paused') {
+            this.recordingManager.resume();
+        } else {
+            this.recordingManager.pause();
+        }
+    }
+
+    /**
+     * Stop recording and finalize files
+     */
+    async stopRecording() {
+        if (this.recordingTimer) {
+            clearInterval(this.recordingTimer);
+            this.recordingTimer = null;
+        }
+
+        try {
+            await this.recordingManager.stop();
+        } catch (error) {
+            console.error('Error stopping recording:', error);
+        }
+    }
+
+    /**
+     * Update recording buttons and status display
+     */
+    updateRecordingControls() {
+        const { state, recordingCount } = this.recordingManager.getStatus();
+        const isActive = state !== 'inactive';
+
+        if (this.elements.recordingStatus) {
+            const labels = { inactive: 'Idle', recording: 'Recording', paused: 'Paused' };
+            this.elements.recordingStatus.textContent = labels[state];
+            this.elements.recordingStatus.className = `value ${isActive ? state : ''}`.trim();
+        }
+        if (this.elements.recordStartBtn) {
+            this.elements.recordStartBtn.disabled = isActive;
+        }
+        if (this.elements.recordPauseBtn) {
+            this.elements.recordPauseBtn.disabled = !isActive;
+        }
+        if (this.elements.recordPauseIcon) {
+            this.elements.recordPauseIcon.textContent = state === 'paused' ? '▶' : '⏸';
+        }
+        if (this.elements.recordPauseText) {
+            this.elements.recordPauseText.textContent = state === 'paused' ? 'Resume' : 'Pause';
+        }
+        if (this.elements.recordStopBtn) {
+            this.elements.recordStopBtn.disabled = !isActive;
+        }
+        if (this.elements.recordingFormatSelect) {
+            this.elements.recordingFormatSelect.disabled = isActive;
+        }
+        if (this.elements.recordingModeSelect) {
+            this.elements.recordingModeSelect.disabled = isActive;
+        }
+        if (this.elements.clearRecordingsBtn) {
+            this.elements.clearRecordingsBtn.disabled = recordingCount === 0;
+        }
+
+        this.updateRecordingTimer();
+    }
+
+    /**
+     * Update the elapsed recording time display
+     */
+    updateRecordingTimer() {
+        if (this.elements.recordingTimer) {
+            const { elapsed } = this.recordingManager.getStatus();
+            this.elements.recordingTimer.textContent = this.formatDuration(elapsed);
+        }
+    }
+
+    /**
+     * Update the pending uploads display
+     */
+    updateUploadStatus() {
+        if (this.elements.recordingUploads) {
+            const pending = this.uploadManager.getPendingCount();
+            this.elements.recordingUploads.textContent = pending > 0 ? `⇡ ${pending} upload(s) pending` : '';
+        }
+    }
+
+    /**
+     * Describe the upload state of a recording
+     * @param {string} recordingId - Recording ID
+     * @returns {string} Upload label
+     */
+    getUploadLabel(recordingId) {
+        const status = this.uploadManager.getStatus(recordingId);
+        if (!status) return '';
+
+        if (status.state === 'uploaded') return ' · ☁ uploaded';
+        if (status.state === 'failed') return ' · ⚠ upload failed';
+        return ` · ⇡ ${status.uploadedChunks}/${status.totalChunks}`;
+    }
+
+    /**
+     * Render the list of finished recordings
+     */
+    renderRecordingsList() {
+        const list = this.elements.recordingsList;
+        if (!list) return;
+
+        const recordings = this.recordingManager.getRecordings();
+        if (recordings.length === 0) {
+            list.innerHTML = '<div class="recordings-empty">No recordings yet</div>';
+            return;
+        }
+
+        const escape = (value) => this.audioStreamManager.escapeHtml(value);
+        list.innerHTML = recordings.map((recording) => `
+            <div class="recording-item">
+                <span class="recording-name" title="${escape(recording.fileName)}">${escape(recording.fileName)}</span>
+                <span class="recording-meta">${this.formatDuration(recording.duration)} · ${(recording.size / 1024).toFixed(0)} KB${this.getUploadLabel(recording.id)}</span>
+                <button class="control-btn small" data-action="download" data-recording-id="${escape(recording.id)}" title="Download">⬇</button>
+                <button class="control-btn small" data-action="delete" data-recording-id="${escape(recording.id)}" title="Delete">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Format milliseconds as mm:ss (or h:mm:ss)
+     * @param {number} milliseconds - Duration
+     * @returns {string} Formatted duration
+     */
+    formatDuration(milliseconds) {
+        const totalSeconds = Math.max(0, Math.floor(milliseconds / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${pad(minutes)}:${pad(seconds)}`;
+    }
+
     /**
      * Update session information display
      */
@@ -887,16 +1814,22 @@ class RobotAudioRecorderApp {
     }
 
     /**
-     * Update connection status display
+     * Show which application server the robot is using
+     */
+    updateServerInfo() {
+        if (!this.elements.serverName) return;
+
+        const server = this.openViduService ? this.openViduService.getCurrentServer() : null;
+        this.elements.serverName.textContent = server ? server.name : '-';
+        this.elements.serverName.title = server ? server.endpoint : '';
+    }
+
+    /**
+     * Update connection status (the status text follows the connection state, see handleConnectionStateChange)
      */
     updateConnectionStatus(connected) {
         this.isConnected = connected;
         
-        if (this.elements.connectionStatus) {
-            this.elements.connectionStatus.textContent = connected ? 'Connected' : 'Disconnected';
-            this.elements.connectionStatus.className = connected ? 'value connected' : 'value disconnected';
-        }
-        
         // Update robot name when connected
         if (connected) {
             this.updateSessionInfo();
@@ -924,6 +1857,7 @@ class RobotAudioRecorderApp {
     updateMicrophoneButton() {
         if (this.elements.microphoneBtn) {
             this.elements.microphoneBtn.classList.toggle('active', !this.microphone);
+            this.elements.microphoneBtn.disabled = !this.configService.isFeatureEnabled('enableAudio');
         }
         if (this.elements.microphoneIcon) {
             this.elements.microphoneIcon.textContent = this.microphone ? '🎤' : '🔇';
@@ -954,6 +1888,62 @@ class RobotAudioRecorderApp {
         }
     }
 
+    /**
+     * Collect configuration problems from schema validation and the LiveKit options
+     * @returns {Array<string>} Problem descriptions
+     */
+    getConfigProblems() {
+        const profile = this.configService.getActiveProfile();
+        const layerLabels = {
+            file: 'dashboard-config.json',
+            shared: 'profiles.json (shared)',
+            profile: `profiles.json (${profile ? profile.name : 'profile'})`,
+            local: 'saved settings',
+            global: 'window.__ROBOT_CONFIG__',
+            url: 'URL parameters',
+            merged: 'configuration'
+        };
+        const problems = this.configService.getValidationErrors()
+            .map((error) => `${layerLabels[error.layer] || error.layer}: ${error.message}`);
+
+        if (this.livekitOptions) {
+            problems.push(...this.livekitOptions.errors.map((message) => `dashboard-config.json: ${message}`));
+        }
+
+        const sinkError = this.audioOutputMixer.getSinkError();
+        if (sinkError) {
+            problems.push(`Audio output device: ${sinkError.message || sinkError.name} (volume above 100% and output protection are unavailable)`);
+        }
+
+        return problems;
+    }
+
+    /**
+     * Show configuration problems (hidden when there are none)
+     * @param {Array<string>} messages - Problem descriptions
+     */
+    showConfigWarnings(messages) {
+        if (!this.elements.configWarnings || !this.elements.configWarningsList) return;
+
+        this.elements.configWarningsList.innerHTML = '';
+        messages.forEach((message) => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            this.elements.configWarningsList.appendChild(item);
+        });
+        this.elements.configWarnings.style.display = messages.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Show or hide the offline banner
+     * @param {boolean} offline - True while the browser is offline
+     */
+    updateOfflineBanner(offline) {
+        if (this.elements.offlineBanner) {
+            this.elements.offlineBanner.style.display = offline ? 'block' : 'none';
+        }
+    }
+
     /**
      * Hide error message
      */
@@ -967,8 +1957,18 @@ class RobotAudioRecorderApp {
      * Get room state (for debugging)
      */
     getRoomState() {
+        const token = this.openViduService ? this.openViduService.getTokenInfo(this.roomName, this.participantName) : null;
+
         if (!this.room) {
-            return { connected: false, room: null };
+            return {
+                connected: false,
+                room: null,
+                connection: this.connectionState.getStatus(),
+                lifecycle: this.lifecycle.getStatus(),
+                network: this.networkMonitor.getInfo(),
+                token,
+                speakerActivity: this.speakerActivity.getSummary()
+            };
         }
 
         return {
@@ -977,8 +1977,17 @@ class RobotAudioRecorderApp {
             participantName: this.participantName,
             participantCount: this.room.participants ? this.room.participants.size + 1 : 1,
             localParticipant: this.localParticipant ? this.localParticipant.identity : null,
+            server: this.openViduService ? this.openViduService.getCurrentServer() : null,
+            connection: this.connectionState.getStatus(),
+            lifecycle: this.lifecycle.getStatus(),
+            network: this.networkMonitor.getInfo(),
+            token,
             isAudioEnabled: this.microphone,
-            isSpeakerEnabled: this.speaker
+            isSpeakerEnabled: this.speaker,
+            masterVolume: this.audioStreamManager.masterVolume,
+            recording: this.recordingManager.getStatus(),
+            pendingUploads: this.uploadManager.getPendingCount(),
+            speakerActivity: this.speakerActivity.getSummary()
         };
     }
 }
@@ -0,0 +1,153 @@
+/**
+ * Audio Level Monitor for Robot Audio Recorder
+ * Measures real per-track audio levels with Web Audio AnalyserNodes.
+ * A single polling timer serves every track to stay cheap on low-power robot CPUs.
+ */
+class AudioLevelMonitor {
+    constructor(configService) {
+        this.configService = configService;
+        this.meters = new Map(); // id -> meter info
+        this.timer = null;
+
+        console.log('AudioLevelMonitor initialized');
+    }
+
+    /**
+     * Start measuring a track
+     * @param {string} id - Meter ID
+     * @param {MediaStreamTrack} mediaStreamTrack - Audio track to measure
+     * @param {Function} callback - Receives { level, speaking } on every change
+     * @returns {boolean} True if metering started
+     */
+    watch(id, mediaStreamTrack, callback) {
+        if (!mediaStreamTrack) {
+            console.warn('Cannot meter a source without a MediaStreamTrack:', id);
+            return false;
+        }
+
+        this.unwatch(id);
+
+        const audioContext = SharedAudioContext.get();
+        if (!audioContext) {
+            return false;
+        }
+        SharedAudioContext.resume();
+
+        try {
+            const source = audioContext.createMediaStreamSource(new MediaStream([mediaStreamTrack]));
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 256;
+            analyser.smoothingTimeConstant = 0;
+            source.connect(analyser);
+
+            this.meters.set(id, {
+                source,
+                analyser,
+                samples: new Uint8Array(analyser.fftSize),
+                callback,
+                level: 0,
+                speaking: false,
+                lastSpokeAt: 0
+            });
+        } catch (error) {
+            console.error('Failed to start audio level meter:', id, error);
+            return false;
+        }
+
+        this.startTimer();
+        return true;
+    }
+
+    /**
+     * Stop measuring a track and release its audio nodes
+     * @param {string} id - Meter ID
+     */
+    unwatch(id) {
+        const meter = this.meters.get(id);
+        if (!meter) return;
+
+        try {
+            meter.source.disconnect();
+            meter.analyser.disconnect();
+        } catch (error) {
+            console.warn('Error disconnecting audio level meter:', error);
+        }
+
+        this.meters.delete(id);
+
+        if (this.meters.size === 0) {
+            this.stopTimer();
+        }
+    }
+
+    /**
+     * Stop every meter
+     */
+    unwatchAll() {
+        Array.from(this.meters.keys()).forEach((id) => this.unwatch(id));
+    }
+
+    /**
+     * Start the shared polling timer
+     */
+    startTimer() {
+        if (this.timer) return;
+
+        const { interval } = this.configService.getAudioLevelConfig();
+        this.timer = setInterval(() => this.poll(), interval);
+    }
+
+    /**
+     * Stop the shared polling timer
+     */
+    stopTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Read every analyser once and notify meters whose state changed
+     */
+    poll() {
+        // Nobody can see the meters, so skip the work
+        if (document.hidden) return;
+
+        const { speakingThreshold, speakingHoldTime } = this.configService.getAudioLevelConfig();
+        const now = Date.now();
+
+        this.meters.forEach((meter) => {
+            meter.analyser.getByteTimeDomainData(meter.samples);
+
+            let sumSquares = 0;
+            for (let i = 0; i < meter.samples.length; i++) {
+                const value = (meter.samples[i] - 128) / 128;
+                sumSquares += value * value;
+            }
+            const rms = Math.sqrt(sumSquares / meter.samples.length);
+            const decibels = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+            // Map -60..0 dBFS onto 0..1 for display
+            const level = Math.max(0, Math.min(1, (decibels + 60) / 60));
+            if (decibels > speakingThreshold) {
+                meter.lastSpokeAt = now;
+            }
+            const speaking = now - meter.lastSpokeAt < speakingHoldTime;
+
+            // Only touch the DOM when something visibly changed
+            if (Math.abs(level - meter.level) < 0.02 && speaking === meter.speaking) return;
+
+            meter.level = level;
+            meter.speaking = speaking;
+            try {
+                meter.callback({ level, speaking });
+            } catch (error) {
+                console.error('Audio level callback error:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.AudioLevelMonitor = AudioLevelMonitor;
\ No newline at end of file
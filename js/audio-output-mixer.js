@@ -0,0 +1,253 @@
+/**
+ * Audio Output Mixer for Robot Audio Recorder
+ * Plays remote audio through Web Audio so each participant can be amplified beyond 100%.
+ * Graph: track source -> participant gain -> master gain -> [compressor -> limiter -> clipper] -> destination
+ * The bracketed protection chain is optional and protects robot speakers from sudden loud input.
+ */
+class AudioOutputMixer {
+    constructor() {
+        this.inputs = new Map(); // streamId -> { source, gain }
+        this.masterGain = null;
+        this.masterVolume = 1;
+        this.sinkId = '';
+        this.sinkApplied = false; // AudioContext.setSinkId succeeded for sinkId
+        this.sinkError = null;
+        this.processingSettings = { enabled: false };
+        this.processingNodes = [];
+
+        console.log('AudioOutputMixer initialized');
+    }
+
+    /**
+     * Check whether remote audio can be routed through the mixer
+     * @returns {boolean} True if Web Audio playback is possible on the current output device
+     */
+    canRoute() {
+        const audioContext = SharedAudioContext.get();
+        if (!audioContext) return false;
+
+        // A specific output device must have been applied to the context, otherwise keep element playback
+        return !this.sinkId || this.sinkApplied;
+    }
+
+    /**
+     * Create the master bus on first use
+     * @returns {AudioContext} Shared audio context
+     */
+    ensureGraph() {
+        const audioContext = SharedAudioContext.get();
+
+        if (!this.masterGain) {
+            this.masterGain = audioContext.createGain();
+            this.masterGain.gain.value = this.masterVolume;
+            this.connectOutput();
+        }
+
+        return audioContext;
+    }
+
+    /**
+     * Configure the output protection chain (compressor, limiter and hard ceiling)
+     * @param {Object} settings - Output processing settings from ConfigService
+     */
+    setProcessing(settings) {
+        this.processingSettings = settings;
+        console.log('Output processing', settings.enabled ? 'enabled' : 'disabled', settings);
+
+        if (this.masterGain) {
+            this.connectOutput();
+        }
+    }
+
+    /**
+     * Check whether output protection is active
+     * @returns {boolean} True if the protection chain is enabled
+     */
+    isProcessingEnabled() {
+        return !!this.processingSettings.enabled;
+    }
+
+    /**
+     * (Re)connect the master bus to the destination, through the protection chain if enabled
+     */
+    connectOutput() {
+        const audioContext = this.masterGain.context;
+
+        this.masterGain.disconnect();
+        this.processingNodes.forEach((node) => node.disconnect());
+        this.processingNodes = [];
+
+        if (!this.processingSettings.enabled) {
+            this.masterGain.connect(audioContext.destination);
+            return;
+        }
+
+        const { compressor: compressorSettings, limiter: limiterSettings, maxOutputLevel } = this.processingSettings;
+
+        // Gentle compression evens out loud and quiet speakers
+        const compressor = audioContext.createDynamicsCompressor();
+        compressor.threshold.value = compressorSettings.threshold;
+        compressor.knee.value = compressorSettings.knee;
+        compressor.ratio.value = compressorSettings.ratio;
+        compressor.attack.value = compressorSettings.attack;
+        compressor.release.value = compressorSettings.release;
+
+        // Fast, hard-knee limiter just below the ceiling catches peaks and feedback screeches
+        const limiter = audioContext.createDynamicsCompressor();
+        limiter.threshold.value = Math.min(0, 20 * Math.log10(maxOutputLevel) - limiterSettings.headroom);
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.001;
+        limiter.release.value = limiterSettings.release;
+
+        // The compressor look-ahead cannot catch everything, so clip whatever still exceeds the ceiling
+        const clipper = audioContext.createWaveShaper();
+        clipper.curve = this.createClipCurve(maxOutputLevel);
+
+        this.masterGain.connect(compressor);
+        compressor.connect(limiter);
+        limiter.connect(clipper);
+        clipper.connect(audioContext.destination);
+
+        this.processingNodes = [compressor, limiter, clipper];
+    }
+
+    /**
+     * Build a WaveShaper curve that passes samples unchanged up to the ceiling
+     * @param {number} ceiling - Maximum absolute sample value (0..1)
+     * @returns {Float32Array} Shaper curve
+     */
+    createClipCurve(ceiling) {
+        const samples = 1024;
+        const curve = new Float32Array(samples);
+        for (let i = 0; i < samples; i++) {
+            const input = (i / (samples - 1)) * 2 - 1;
+            curve[i] = Math.max(-ceiling, Math.min(ceiling, input));
+        }
+        return curve;
+    }
+
+    /**
+     * Route a remote track through the mixer
+     * @param {string} streamId - Stream ID
+     * @param {MediaStreamTrack} mediaStreamTrack - Remote audio track
+     * @param {number} volume - Initial participant volume (1 = 100%)
+     * @returns {boolean} True if the track is now played by the mixer
+     */
+    addStream(streamId, mediaStreamTrack, volume = 1) {
+        if (!mediaStreamTrack || !this.canRoute()) return false;
+
+        this.removeStream(streamId);
+
+        try {
+            const audioContext = this.ensureGraph();
+            SharedAudioContext.resume();
+
+            const source = audioContext.createMediaStreamSource(new MediaStream([mediaStreamTrack]));
+            const gain = audioContext.createGain();
+            gain.gain.value = volume;
+            source.connect(gain);
+            gain.connect(this.masterGain);
+
+            this.inputs.set(streamId, { source, gain });
+            console.log('Stream routed through output mixer:', streamId);
+            return true;
+        } catch (error) {
+            console.error('Failed to route stream through output mixer:', streamId, error);
+            return false;
+        }
+    }
+
+    /**
+     * Stop playing a track through the mixer
+     * @param {string} streamId - Stream ID
+     */
+    removeStream(streamId) {
+        const input = this.inputs.get(streamId);
+        if (!input) return;
+
+        try {
+            input.source.disconnect();
+            input.gain.disconnect();
+        } catch (error) {
+            console.warn('Error disconnecting mixer input:', error);
+        }
+
+        this.inputs.delete(streamId);
+    }
+
+    /**
+     * Check whether a stream is played by the mixer
+     * @param {string} streamId - Stream ID
+     * @returns {boolean} True if routed
+     */
+    hasStream(streamId) {
+        return this.inputs.has(streamId);
+    }
+
+    /**
+     * Set the gain of a single stream
+     * @param {string} streamId - Stream ID
+     * @param {number} gain - Linear gain (0 = silent, 1 = 100%, 2 = 200%)
+     */
+    setStreamGain(streamId, gain) {
+        const input = this.inputs.get(streamId);
+        if (input) {
+            input.gain.gain.setTargetAtTime(gain, input.gain.context.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Set the master output volume
+     * @param {number} volume - Linear gain (1 = 100%)
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = volume;
+        if (this.masterGain) {
+            this.masterGain.gain.setTargetAtTime(volume, this.masterGain.context.currentTime, 0.02);
+        }
+    }
+
+    /**
+     * Send mixer output to a specific audio output device
+     * @param {string} deviceId - Output device ID ('' for default)
+     * @returns {Promise<boolean>} True if the device was applied
+     */
+    async setSinkId(deviceId) {
+        const sinkId = deviceId || '';
+        this.sinkId = sinkId;
+        this.sinkApplied = false;
+        this.sinkError = null;
+
+        const audioContext = SharedAudioContext.get();
+        if (!audioContext || typeof audioContext.setSinkId !== 'function') {
+            return false;
+        }
+
+        try {
+            await audioContext.setSinkId(sinkId);
+            if (this.sinkId !== sinkId) return false; // superseded by a later call
+
+            this.sinkApplied = true;
+            console.log('Output mixer sink set to:', sinkId || 'default');
+            return true;
+        } catch (error) {
+            if (this.sinkId !== sinkId) return false;
+
+            // e.g. device unplugged or permission denied; canRoute() now keeps element playback
+            this.sinkError = error;
+            console.error('Failed to set output mixer sink, using element playback:', sinkId, error);
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Error|null} Why the current output device could not be applied to the mixer
+     */
+    getSinkError() {
+        return this.sinkError;
+    }
+}
+
+// Export for use in other modules
+window.AudioOutputMixer = AudioOutputMixer;
\ No newline at end of file
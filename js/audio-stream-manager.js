@@ -3,9 +3,22 @@
  * Simplified audio track management for LiveKit
  */
 class AudioStreamManager {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - ID of the streams container element
+     * @param {Object} options - Optional collaborators
+     * @param {AudioLevelMonitor} options.levelMonitor - Level meter source
+     * @param {AudioOutputMixer} options.outputMixer - Web Audio playback (volume above 100%)
+     * @param {ConfigService} options.configService - Remembers per-participant volumes
+     */
+    constructor(containerId, options = {}) {
         this.container = document.getElementById(containerId);
         this.streams = new Map(); // streamId -> streamInfo
+        this.levelMonitor = options.levelMonitor || null;
+        this.outputMixer = options.outputMixer || null;
+        this.configService = options.configService || null;
+        this.levelMonitoringEnabled = true;
+        this.displayOptions = { showParticipantNames: true, showAudioIndicators: true };
+        this.masterVolume = this.configService ? this.configService.getMasterVolume() : 1;
         
         if (!this.container) {
             throw new Error(`Container with id '${containerId}' not found`);
@@ -32,16 +45,26 @@ class AudioStreamManager {
         const streamElement = this.createStreamElement(streamManager, participantName);
         this.container.appendChild(streamElement);
 
+        const identity = streamManager.participant ? streamManager.participant.identity : participantName;
+        const volume = this.configService ? this.configService.getParticipantVolume(identity) : 1;
+
         // Store stream info
         this.streams.set(streamId, {
             streamManager,
             participantName,
+            identity,
             element: streamElement,
             isMuted: false,
+            volume,
+            isMixed: false,
             publication: streamManager.publication
         });
 
-        // Setup simple visual indicator
+        // Play through the output mixer when possible so volume can exceed 100%
+        this.setupOutput(streamId);
+        this.updateVolumeControl(streamId, volume);
+
+        // Setup audio level meter
         this.setupAudioIndicator(streamId);
 
         // Update empty state
@@ -64,6 +87,14 @@ class AudioStreamManager {
 
         console.log('Removing audio track:', streamId);
 
+        // Stop level metering and release its audio nodes
+        if (this.levelMonitor) {
+            this.levelMonitor.unwatch(streamId);
+        }
+        if (this.outputMixer) {
+            this.outputMixer.removeStream(streamId);
+        }
+
         // Remove DOM element
         if (streamInfo.element && streamInfo.element.parentNode) {
             streamInfo.element.parentNode.removeChild(streamInfo.element);
@@ -80,54 +111,146 @@ class AudioStreamManager {
 
     /**
      * Create HTML element for a track
+     * Built with DOM APIs: stream IDs contain participant identities, so they never go into markup
      * @param {Object} streamManager - Compatibility object containing track info
      * @param {string} participantName - Participant name
      * @returns {HTMLElement} Stream element
      */
     createStreamElement(streamManager, participantName) {
-        const streamElement = document.createElement('div');
-        streamElement.className = 'stream-item';
-        streamElement.id = `stream-${streamManager.stream.streamId}`;
-
-        streamElement.innerHTML = `
-            <div class="audio-indicator" id="indicator-${streamManager.stream.streamId}">
-                🎤
-            </div>
-            <div class="stream-info">
-                <div class="stream-name">${this.escapeHtml(participantName)}</div>
-                <div class="stream-status">Connected</div>
-            </div>
-            <div class="stream-controls">
-                <button class="control-btn small" onclick="audioStreamManager.toggleStreamMute('${streamManager.stream.streamId}')" 
-                        id="mute-btn-${streamManager.stream.streamId}">
-                    <span class="icon">🔊</span>
-                </button>
-            </div>
-        `;
+        const streamId = streamManager.stream.streamId;
+        const create = (tag, className, text) => {
+            const element = document.createElement(tag);
+            element.className = className;
+            if (text !== undefined) element.textContent = text;
+            return element;
+        };
 
+        const streamElement = create('div', 'stream-item');
+        streamElement.dataset.streamId = streamId;
+
+        const info = create('div', 'stream-info');
+        const levelMeter = create('div', 'level-meter');
+        levelMeter.title = 'Audio level';
+        levelMeter.appendChild(create('div', 'level-meter-fill'));
+        info.append(create('div', 'stream-name', participantName), create('div', 'stream-status', 'Connected'), levelMeter);
+
+        const slider = create('input', 'volume-slider');
+        Object.assign(slider, { type: 'range', min: '0', max: '200', step: '5', value: '100', title: 'Volume' });
+        slider.addEventListener('input', () => this.setStreamVolume(streamId, slider.value / 100));
+
+        const muteButton = create('button', 'control-btn small mute-btn');
+        muteButton.appendChild(create('span', 'icon', '🔊'));
+        muteButton.addEventListener('click', () => this.toggleStreamMute(streamId));
+
+        const controls = create('div', 'stream-controls');
+        controls.append(slider, create('span', 'volume-value', '100%'), muteButton);
+
+        streamElement.append(create('div', 'audio-indicator', '🎤'), info, controls);
+
+        this.applyDisplayOptions(streamElement);
         return streamElement;
     }
 
     /**
-     * Setup simple audio indicator animation
+     * Find a control inside the element of a track
+     * @param {string} streamId - Stream ID
+     * @param {string} selector - Selector within the stream element
+     * @returns {HTMLElement|null} Control element
+     */
+    getStreamControl(streamId, selector) {
+        const streamInfo = this.streams.get(streamId);
+        return streamInfo ? streamInfo.element.querySelector(selector) : null;
+    }
+
+    /**
+     * Show or hide participant names and audio indicators on every track
+     * @param {Object} options - { showParticipantNames, showAudioIndicators }
+     */
+    setDisplayOptions(options) {
+        this.displayOptions = { ...this.displayOptions, ...options };
+        this.streams.forEach((streamInfo) => this.applyDisplayOptions(streamInfo.element));
+    }
+
+    /**
+     * Apply the display options to a track element
+     * @param {HTMLElement} streamElement - Stream element
+     */
+    applyDisplayOptions(streamElement) {
+        streamElement.classList.toggle('hide-participant-name', !this.displayOptions.showParticipantNames);
+        streamElement.classList.toggle('hide-audio-indicators', !this.displayOptions.showAudioIndicators);
+    }
+
+    /**
+     * Enable or disable audio level metering for new and existing tracks
+     * @param {boolean} enabled - True to meter audio levels
+     */
+    setLevelMonitoringEnabled(enabled) {
+        this.levelMonitoringEnabled = enabled;
+
+        this.streams.forEach((streamInfo, streamId) => {
+            if (enabled) {
+                this.setupAudioIndicator(streamId);
+            } else if (this.levelMonitor) {
+                this.levelMonitor.unwatch(streamId);
+                this.updateAudioLevel(streamId, { level: 0, speaking: false });
+            }
+            streamInfo.element.classList.toggle('no-level-meter', !enabled);
+        });
+    }
+
+    /**
+     * Setup the audio level meter for a track
      * @param {string} streamId - Stream ID
      */
     setupAudioIndicator(streamId) {
-        const indicator = document.getElementById(`indicator-${streamId}`);
+        const streamInfo = this.streams.get(streamId);
+        if (!streamInfo) return;
+
+        const track = streamInfo.streamManager.track;
+        const canMeter = this.levelMonitor && this.levelMonitoringEnabled && track && track.mediaStreamTrack;
+
+        if (!canMeter || !this.levelMonitor.watch(streamId, track.mediaStreamTrack, (levelInfo) => {
+            this.updateAudioLevel(streamId, levelInfo);
+        })) {
+            // Without metering the meter bar would sit at zero forever, so hide it
+            streamInfo.element.classList.add('no-level-meter');
+        }
+    }
+
+    /**
+     * Update the level meter and speaking state of a track
+     * @param {string} streamId - Stream ID
+     * @param {Object} levelInfo - { level: 0..1, speaking: boolean }
+     */
+    updateAudioLevel(streamId, { level, speaking }) {
+        const fill = this.getStreamControl(streamId, '.level-meter-fill');
+        if (fill) {
+            fill.style.transform = `scaleX(${level})`;
+        }
+
+        const indicator = this.getStreamControl(streamId, '.audio-indicator');
         if (indicator) {
-            // Simple animation to show audio activity
-            let isActive = false;
-            const interval = setInterval(() => {
-                // Check if the stream still exists
-                if (!this.streams.has(streamId)) {
-                    clearInterval(interval);
-                    return;
-                }
-                
-                isActive = !isActive;
-                indicator.classList.toggle('active', isActive);
-            }, 1500);
+            indicator.classList.toggle('active', speaking);
         }
+
+        const streamInfo = this.streams.get(streamId);
+        if (streamInfo) {
+            streamInfo.isSpeaking = speaking;
+        }
+    }
+
+    /**
+     * Highlight the tracks of the participants currently speaking
+     * @param {Array<string>} identities - Active speaker identities
+     */
+    setActiveSpeakers(identities) {
+        const speaking = new Set(identities);
+
+        this.streams.forEach((streamInfo) => {
+            const participant = streamInfo.streamManager.participant;
+            const identity = participant ? participant.identity : streamInfo.participantName;
+            streamInfo.element.classList.toggle('active-speaker', speaking.has(identity));
+        });
     }
 
     /**
@@ -142,47 +265,171 @@ class AudioStreamManager {
             return;
         }
 
+        this.setStreamMuted(streamId, !streamInfo.isMuted);
+    }
+
+    /**
+     * Set mute state for a specific track
+     * @param {string} streamId - Stream ID
+     * @param {boolean} muted - True to mute
+     */
+    setStreamMuted(streamId, muted) {
+        const streamInfo = this.streams.get(streamId);
+        if (!streamInfo) return;
+
         try {
-            const isMuted = streamInfo.isMuted;
-            const newMutedState = !isMuted;
-            
             // Toggle track enabled state via publication
             if (streamInfo.publication && streamInfo.publication.setEnabled) {
-                streamInfo.publication.setEnabled(!newMutedState);
-                streamInfo.isMuted = newMutedState;
+                streamInfo.publication.setEnabled(!muted);
             } else if (streamInfo.streamManager && streamInfo.streamManager.subscribeToAudio) {
                 // Fallback to old API for compatibility
-                streamInfo.streamManager.subscribeToAudio(!newMutedState);
-                streamInfo.isMuted = newMutedState;
-            } else {
-                console.warn('No method available to toggle track mute');
-                return;
+                streamInfo.streamManager.subscribeToAudio(!muted);
             }
 
-            // Also control the HTML audio element directly
-            if (streamInfo.streamManager && streamInfo.streamManager.audioElement) {
-                streamInfo.streamManager.audioElement.muted = newMutedState;
-                console.log(`Audio element muted state set to: ${newMutedState}`);
-            }
+            streamInfo.isMuted = muted;
+            this.applyOutputLevel(streamId);
 
             // Update UI
-            this.updateMuteButton(streamId, newMutedState);
-            this.updateAudioIndicator(streamId, newMutedState);
+            this.updateMuteButton(streamId, muted);
+            this.updateAudioIndicator(streamId, muted);
 
-            console.log(`Track ${streamId} ${newMutedState ? 'muted' : 'unmuted'}`);
+            console.log(`Track ${streamId} ${muted ? 'muted' : 'unmuted'}`);
 
         } catch (error) {
             console.error('Error toggling track mute:', error);
         }
     }
 
+    /**
+     * Set the playback volume of a track and remember it for the participant
+     * @param {string} streamId - Stream ID
+     * @param {number} volume - Linear volume, 0 to 2 (200%)
+     */
+    setStreamVolume(streamId, volume) {
+        const streamInfo = this.streams.get(streamId);
+        if (!streamInfo) return;
+
+        streamInfo.volume = Math.max(0, Math.min(2, Number(volume) || 0));
+        this.applyOutputLevel(streamId);
+        this.updateVolumeControl(streamId, streamInfo.volume);
+
+        if (this.configService) {
+            this.configService.setParticipantVolume(streamInfo.identity, streamInfo.volume);
+        }
+    }
+
+    /**
+     * Re-read every participant volume from the configuration (e.g. after a config reload)
+     */
+    refreshVolumes() {
+        if (!this.configService) return;
+
+        this.streams.forEach((streamInfo, streamId) => {
+            streamInfo.volume = this.configService.getParticipantVolume(streamInfo.identity);
+            this.applyOutputLevel(streamId);
+            this.updateVolumeControl(streamId, streamInfo.volume);
+        });
+    }
+
+    /**
+     * Set the master output volume applied on top of every participant volume
+     * @param {number} volume - Linear volume, 0 to 2 (200%)
+     */
+    setMasterVolume(volume) {
+        this.masterVolume = Math.max(0, Math.min(2, Number(volume) || 0));
+
+        if (this.outputMixer) {
+            this.outputMixer.setMasterVolume(this.masterVolume);
+        }
+
+        // Element playback has no master bus, so refresh each element
+        this.streams.forEach((streamInfo, streamId) => this.applyOutputLevel(streamId));
+    }
+
+    /**
+     * Route a track through the output mixer if available
+     * @param {string} streamId - Stream ID
+     */
+    setupOutput(streamId) {
+        const streamInfo = this.streams.get(streamId);
+        const { track, audioElement } = streamInfo.streamManager;
+
+        if (this.outputMixer && track && this.outputMixer.addStream(streamId, track.mediaStreamTrack, streamInfo.volume)) {
+            streamInfo.isMixed = true;
+
+            // The element must stay attached for Chrome to deliver remote audio to Web Audio,
+            // but it must not play as well
+            if (audioElement) {
+                audioElement.muted = true;
+            }
+        } else if (this.outputMixer && this.outputMixer.isProcessingEnabled()) {
+            console.warn('Output protection unavailable for stream (element playback fallback):', streamId);
+        }
+
+        this.applyOutputLevel(streamId);
+    }
+
+    /**
+     * Re-evaluate the output path of every track (e.g. after the output device changed)
+     */
+    refreshOutputs() {
+        this.streams.forEach((streamInfo, streamId) => {
+            if (this.outputMixer) {
+                this.outputMixer.removeStream(streamId);
+            }
+            streamInfo.isMixed = false;
+            this.setupOutput(streamId);
+        });
+    }
+
+    /**
+     * Apply mute state and volume to whichever output plays the track
+     * @param {string} streamId - Stream ID
+     */
+    applyOutputLevel(streamId) {
+        const streamInfo = this.streams.get(streamId);
+        if (!streamInfo) return;
+
+        const audioElement = streamInfo.streamManager && streamInfo.streamManager.audioElement;
+
+        if (streamInfo.isMixed) {
+            this.outputMixer.setStreamGain(streamId, streamInfo.isMuted ? 0 : streamInfo.volume);
+            if (audioElement) {
+                audioElement.muted = true;
+            }
+        } else if (audioElement) {
+            // HTML media elements cannot amplify, so volume is capped at 100% here
+            audioElement.muted = streamInfo.isMuted;
+            audioElement.volume = Math.min(1, streamInfo.volume * this.masterVolume);
+        }
+    }
+
+    /**
+     * Update volume slider appearance
+     * @param {string} streamId - Stream ID
+     * @param {number} volume - Linear volume
+     */
+    updateVolumeControl(streamId, volume) {
+        const percent = Math.round(volume * 100);
+
+        const slider = this.getStreamControl(streamId, '.volume-slider');
+        if (slider) {
+            slider.value = percent;
+        }
+
+        const label = this.getStreamControl(streamId, '.volume-value');
+        if (label) {
+            label.textContent = `${percent}%`;
+        }
+    }
+
     /**
      * Update mute button appearance
      * @param {string} streamId - Stream ID
      * @param {boolean} isMuted - Whether track is muted
      */
     updateMuteButton(streamId, isMuted) {
-        const button = document.getElementById(`mute-btn-${streamId}`);
+        const button = this.getStreamControl(streamId, '.mute-btn');
         if (button) {
             const icon = button.querySelector('.icon');
             if (icon) {
@@ -199,7 +446,7 @@ class AudioStreamManager {
      * @param {boolean} isMuted - Whether track is muted
      */
     updateAudioIndicator(streamId, isMuted) {
-        const indicator = document.getElementById(`indicator-${streamId}`);
+        const indicator = this.getStreamControl(streamId, '.audio-indicator');
         if (indicator) {
             indicator.classList.toggle('muted', isMuted);
             indicator.textContent = isMuted ? '🔇' : '🎤';
@@ -214,27 +461,7 @@ class AudioStreamManager {
         console.log(`${mute ? 'Muting' : 'Unmuting'} all tracks`);
         
         this.streams.forEach((streamInfo, streamId) => {
-            try {
-                // Use LiveKit publication API if available
-                if (streamInfo.publication && streamInfo.publication.setEnabled) {
-                    streamInfo.publication.setEnabled(!mute);
-                } else if (streamInfo.streamManager && streamInfo.streamManager.subscribeToAudio) {
-                    // Fallback to old API
-                    streamInfo.streamManager.subscribeToAudio(!mute);
-                }
-                
-                // Also control the HTML audio element directly
-                if (streamInfo.streamManager && streamInfo.streamManager.audioElement) {
-                    streamInfo.streamManager.audioElement.muted = mute;
-                }
-                
-                streamInfo.isMuted = mute;
-                
-                this.updateMuteButton(streamId, mute);
-                this.updateAudioIndicator(streamId, mute);
-            } catch (error) {
-                console.error(`Error ${mute ? 'muting' : 'unmuting'} track ${streamId}:`, error);
-            }
+            this.setStreamMuted(streamId, mute);
         });
     }
 
@@ -0,0 +1,543 @@
+/**
+ * Configuration schema for Robot Audio Recorder
+ * Declares every supported config key with its type, range, allowed values and whether it is required,
+ * and provides the deep merge used to layer defaults, dashboard-config.json and local overrides.
+ *
+ * Schema nodes:
+ *   type       - 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array'
+ *   required   - must be present (and non-empty) in the merged configuration
+ *   min / max  - numeric range
+ *   enum       - allowed values
+ *   properties - schemas of known object keys (other keys are reported as unknown)
+ *   values     - schema applied to every key of a free-form map (e.g. participant volumes)
+ *   items      - schema applied to every element of an array (invalid elements are dropped)
+ *   open       - object whose contents are validated elsewhere
+ */
+
+/**
+ * Themes defined in css/styles.css
+ */
+const UI_THEMES = ['default', 'dark', 'high-contrast'];
+
+const CONFIG_SCHEMA = {
+    production: { type: 'boolean' },
+    robotId: { type: 'string', required: true },
+    profile: { type: 'string' },
+    server: {
+        type: 'object',
+        properties: {
+            endpoint: { type: 'string', required: true }
+        }
+    },
+    livekitServer: {
+        type: 'object',
+        properties: {
+            url: { type: 'string' },
+            applicationServer: { type: 'string' }
+        }
+    },
+    speaker: { type: 'boolean' },
+    microphone: { type: 'boolean' },
+    audioDevice: { type: 'string' },
+    audioOutputDevice: { type: 'string' },
+    masterVolume: { type: 'number', min: 0, max: 2 },
+    participantVolumes: { type: 'object', values: { type: 'number', min: 0, max: 2 } },
+    maxConnectionAttempts: { type: 'integer', min: 0, max: 100 },
+    reconnectDelay: { type: 'number', min: 500 },
+    maxReconnectDelay: { type: 'number', min: 500 },
+    connectionTimeout: { type: 'number', min: 1000 },
+    configReload: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            interval: { type: 'integer', min: 5000 }
+        }
+    },
+    openviduVersion: { type: 'string', enum: ['v3'] },
+    api: {
+        type: 'object',
+        properties: {
+            token: { type: 'string', required: true },
+            health: { type: 'string' },
+            tokenRefreshMargin: { type: 'number', min: 0 }
+        }
+    },
+    // Application servers in failover order (server.endpoint is used when empty), see OpenViduV3Service
+    servers: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                name: { type: 'string' },
+                endpoint: { type: 'string', required: true },
+                livekitUrl: { type: 'string' },
+                weight: { type: 'number', min: 0 }
+            }
+        }
+    },
+    serverSelection: {
+        type: 'object',
+        properties: {
+            strategy: { type: 'string', enum: ['ordered', 'weighted'] },
+            healthCheck: { type: 'boolean' },
+            healthCheckTimeout: { type: 'number', min: 100 }
+        }
+    },
+    // Timeouts and retries of application server requests, see js/http-client.js
+    http: {
+        type: 'object',
+        properties: {
+            timeout: { type: 'number', min: 1000 },
+            retries: { type: 'integer', min: 0, max: 10 },
+            retryDelay: { type: 'number', min: 0 },
+            maxRetryDelay: { type: 'number', min: 0 }
+        }
+    },
+    // Credentials for application server requests, see js/request-auth.js (auth.type is checked there)
+    auth: {
+        type: 'object',
+        properties: {
+            type: { type: 'string' },
+            token: { type: 'string' },
+            apiKey: { type: 'string' },
+            apiKeyHeader: { type: 'string' },
+            secret: { type: 'string' }
+        }
+    },
+    recording: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: ['webm-opus', 'ogg-opus', 'wav'] },
+            mode: { type: 'string', enum: ['both', 'mixed', 'per-track'] },
+            audioBitsPerSecond: { type: 'integer', min: 6000, max: 510000 },
+            timeslice: { type: 'integer', min: 100 },
+            channelCount: { type: 'integer', enum: [1, 2] }
+        }
+    },
+    upload: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            endpoint: { type: 'string' },
+            path: { type: 'string' },
+            chunkSize: { type: 'integer', min: 64 * 1024, max: 8 * 1024 * 1024 },
+            timeout: { type: 'number', min: 1000 },
+            retryDelay: { type: 'number', min: 0 },
+            maxRetryDelay: { type: 'number', min: 0 }
+        }
+    },
+    microphoneProcessing: {
+        type: 'object',
+        properties: {
+            echoCancellation: { type: 'boolean' },
+            noiseSuppression: { type: 'boolean' },
+            autoGainControl: { type: 'boolean' },
+            channelCount: { type: 'integer', enum: [1, 2] },
+            sampleRate: { type: 'integer', min: 8000, max: 96000 },
+            highPassFilter: {
+                type: 'object',
+                properties: {
+                    enabled: { type: 'boolean' },
+                    frequency: { type: 'number', min: 20, max: 1000 }
+                }
+            }
+        }
+    },
+    outputProcessing: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            maxOutputLevel: { type: 'number', min: 0.01, max: 1 },
+            compressor: {
+                type: 'object',
+                properties: {
+                    threshold: { type: 'number', min: -100, max: 0 },
+                    knee: { type: 'number', min: 0, max: 40 },
+                    ratio: { type: 'number', min: 1, max: 20 },
+                    attack: { type: 'number', min: 0, max: 1 },
+                    release: { type: 'number', min: 0, max: 1 }
+                }
+            },
+            limiter: {
+                type: 'object',
+                properties: {
+                    headroom: { type: 'number', min: 0, max: 20 },
+                    release: { type: 'number', min: 0, max: 1 }
+                }
+            }
+        }
+    },
+    audioLevels: {
+        type: 'object',
+        properties: {
+            interval: { type: 'integer', min: 20, max: 2000 },
+            speakingThreshold: { type: 'number', min: -100, max: 0 },
+            speakingHoldTime: { type: 'number', min: 0, max: 10000 }
+        }
+    },
+    features: {
+        type: 'object',
+        properties: {
+            autoReconnect: { type: 'boolean' },
+            unlimitedReconnect: { type: 'boolean' },
+            audioLevelMonitoring: { type: 'boolean' },
+            persistSettings: { type: 'boolean' },
+            enableVideo: { type: 'boolean' },
+            enableAudio: { type: 'boolean' }
+        }
+    },
+    ui: {
+        type: 'object',
+        properties: {
+            theme: { type: 'string', enum: UI_THEMES },
+            showParticipantNames: { type: 'boolean' },
+            showConnectionStatus: { type: 'boolean' },
+            showAudioIndicators: { type: 'boolean' }
+        }
+    },
+    settings: {
+        type: 'object',
+        properties: {
+            enabled: { type: 'boolean' },
+            pin: { type: 'string' }
+        }
+    },
+    // Checked against LiveKit's option names by LiveKitOptionsBuilder when joining
+    livekit: { type: 'object', open: true }
+};
+
+class ConfigSchema {
+    /**
+     * Validate a configuration layer, dropping invalid and unknown values
+     * @param {Object} config - Configuration layer
+     * @param {string} layer - Layer name used in error reports
+     * @returns {Object} { value, errors } - cleaned layer and [{ layer, path, message }]
+     */
+    static validate(config, layer) {
+        const errors = [];
+
+        if (!ConfigSchema.isPlainObject(config)) {
+            errors.push({ layer, path: '', message: 'Configuration must be a JSON object' });
+            return { value: {}, errors };
+        }
+
+        const value = ConfigSchema.validateObject(config, { type: 'object', properties: CONFIG_SCHEMA }, '', layer, errors);
+        return { value, errors };
+    }
+
+    /**
+     * Validate the keys of an object against a schema node
+     * @param {Object} object - Object to validate
+     * @param {Object} schema - Object schema node
+     * @param {string} path - Path of the object
+     * @param {string} layer - Layer name
+     * @param {Array<Object>} errors - Error accumulator
+     * @returns {Object} Valid keys
+     */
+    static validateObject(object, schema, path, layer, errors) {
+        if (schema.open) {
+            return object;
+        }
+
+        const valid = {};
+        Object.entries(object).forEach(([key, value]) => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const keySchema = schema.properties ? schema.properties[key] : schema.values;
+
+            if (!keySchema) {
+                const suggestion = ConfigSchema.suggestKey(key, Object.keys(schema.properties || {}));
+                errors.push({
+                    layer,
+                    path: keyPath,
+                    message: `Unknown key "${keyPath}"` + (suggestion ? ` (did you mean "${suggestion}"?)` : '')
+                });
+                return;
+            }
+
+            const message = ConfigSchema.checkValue(value, keySchema);
+            if (message) {
+                errors.push({ layer, path: keyPath, message: `"${keyPath}" ${message}` });
+                return;
+            }
+
+            if (keySchema.type === 'object') {
+                valid[key] = ConfigSchema.validateObject(value, keySchema, keyPath, layer, errors);
+            } else if (keySchema.type === 'array' && keySchema.items) {
+                valid[key] = ConfigSchema.validateArray(value, keySchema.items, keyPath, layer, errors);
+            } else {
+                valid[key] = value;
+            }
+        });
+
+        return valid;
+    }
+
+    /**
+     * Validate the elements of an array against an item schema
+     * @param {Array} array - Array to validate
+     * @param {Object} itemSchema - Schema node of each element
+     * @param {string} path - Path of the array
+     * @param {string} layer - Layer name
+     * @param {Array<Object>} errors - Error accumulator
+     * @returns {Array} Valid elements
+     */
+    static validateArray(array, itemSchema, path, layer, errors) {
+        const valid = [];
+
+        array.forEach((item, index) => {
+            const itemPath = `${path}[${index}]`;
+            const message = ConfigSchema.checkValue(item, itemSchema);
+            if (message) {
+                errors.push({ layer, path: itemPath, message: `"${itemPath}" ${message}` });
+                return;
+            }
+
+            if (itemSchema.type !== 'object') {
+                valid.push(item);
+                return;
+            }
+
+            // Elements are complete on their own, so required keys are checked per element
+            const missing = ConfigSchema.checkRequired(item, itemSchema.properties, itemPath);
+            if (missing.length > 0) {
+                missing.forEach((error) => errors.push({ ...error, layer }));
+                return;
+            }
+            valid.push(ConfigSchema.validateObject(item, itemSchema, itemPath, layer, errors));
+        });
+
+        return valid;
+    }
+
+    /**
+     * Check a single value against its schema node
+     * @param {any} value - Value to check
+     * @param {Object} schema - Schema node
+     * @returns {string|null} Problem description, or null if valid
+     */
+    static checkValue(value, schema) {
+        switch (schema.type) {
+            case 'object':
+                if (!ConfigSchema.isPlainObject(value)) return 'must be an object';
+                break;
+            case 'array':
+                if (!Array.isArray(value)) return 'must be an array';
+                break;
+            case 'integer':
+                if (!Number.isInteger(value)) return 'must be an integer';
+                break;
+            case 'number':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                break;
+            default:
+                if (typeof value !== schema.type) return `must be a ${schema.type}`;
+        }
+
+        if (schema.required && value === '') {
+            return 'must not be empty';
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            return `must be one of: ${schema.enum.join(', ')}`;
+        }
+        if (schema.min !== undefined && value < schema.min) {
+            return `must be at least ${schema.min}`;
+        }
+        if (schema.max !== undefined && value > schema.max) {
+            return `must be at most ${schema.max}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Report required keys missing from the merged configuration
+     * @param {Object} config - Merged configuration
+     * @param {Object} schema - Schema properties (defaults to the root schema)
+     * @param {string} path - Path of the object
+     * @returns {Array<Object>} [{ layer: 'merged', path, message }]
+     */
+    static checkRequired(config, schema = CONFIG_SCHEMA, path = '') {
+        const errors = [];
+
+        Object.entries(schema).forEach(([key, keySchema]) => {
+            const keyPath = path ? `${path}.${key}` : key;
+            const value = config ? config[key] : undefined;
+
+            if (keySchema.required && (value === undefined || value === null || value === '')) {
+                errors.push({ layer: 'merged', path: keyPath, message: `Required key "${keyPath}" is missing` });
+            }
+            if (keySchema.properties && ConfigSchema.isPlainObject(value)) {
+                errors.push(...ConfigSchema.checkRequired(value, keySchema.properties, keyPath));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Look up the schema node for a dotted config path
+     * @param {string} path - e.g. 'server.endpoint'
+     * @returns {Object|null} Schema node
+     */
+    static getNode(path) {
+        let node = { type: 'object', properties: CONFIG_SCHEMA };
+
+        for (const key of path.split('.')) {
+            node = node && node.properties ? node.properties[key] : null;
+        }
+
+        return node || null;
+    }
+
+    /**
+     * Convert a string (e.g. from a URL query parameter) to the type its schema node expects
+     * @param {string} value - Raw string
+     * @param {Object} schema - Schema node
+     * @returns {any} Converted value (unchanged if it cannot be converted, so validation reports it)
+     */
+    static coerce(value, schema) {
+        if (typeof value !== 'string' || !schema) return value;
+
+        if (schema.type === 'boolean') {
+            if (value === 'true' || value === '1') return true;
+            if (value === 'false' || value === '0') return false;
+        } else if ((schema.type === 'number' || schema.type === 'integer') && value.trim() !== '') {
+            const number = Number(value);
+            if (Number.isFinite(number)) return number;
+        }
+
+        return value;
+    }
+
+    /**
+     * Set a value at a dotted path, creating intermediate objects
+     * @param {Object} target - Object to modify
+     * @param {string} path - e.g. 'server.endpoint'
+     * @param {any} value - Value to set
+     */
+    static setPath(target, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let current = target;
+
+        keys.forEach((key) => {
+            if (!ConfigSchema.isPlainObject(current[key])) {
+                current[key] = {};
+            }
+            current = current[key];
+        });
+
+        current[last] = value;
+    }
+
+    /**
+     * Deep merge configuration layers; later layers win, objects merge, arrays and other values replace
+     * @param {...Object} layers - Layers in increasing priority
+     * @returns {Object} Merged configuration (inputs are not modified)
+     */
+    static deepMerge(...layers) {
+        const result = {};
+
+        layers.forEach((layer) => {
+            if (!ConfigSchema.isPlainObject(layer)) return;
+
+            Object.entries(layer).forEach(([key, value]) => {
+                if (value === undefined) return;
+
+                if (ConfigSchema.isPlainObject(value)) {
+                    result[key] = ConfigSchema.deepMerge(ConfigSchema.isPlainObject(result[key]) ? result[key] : {}, value);
+                } else if (Array.isArray(value)) {
+                    result[key] = value.slice();
+                } else {
+                    result[key] = value;
+                }
+            });
+        });
+
+        return result;
+    }
+
+    /**
+     * List the leaf values that differ between two configurations
+     * @param {Object} before - Previous configuration
+     * @param {Object} after - New configuration
+     * @param {string} prefix - Path prefix (used when recursing)
+     * @returns {Array<Object>} [{ path, from, to }]
+     */
+    static diff(before, after, prefix = '') {
+        const changes = [];
+        const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+        keys.forEach((key) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const from = before ? before[key] : undefined;
+            const to = after ? after[key] : undefined;
+
+            if (ConfigSchema.isPlainObject(from) && ConfigSchema.isPlainObject(to)) {
+                changes.push(...ConfigSchema.diff(from, to, path));
+            } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+                changes.push({ path, from, to });
+            }
+        });
+
+        return changes;
+    }
+
+    /**
+     * @param {any} value - Value to test
+     * @returns {boolean} True for plain (JSON) objects
+     */
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Suggest the closest known key for a likely typo
+     * @param {string} key - Unknown key
+     * @param {Array<string>} candidates - Known keys
+     * @returns {string|null} Closest key within edit distance 2
+     */
+    static suggestKey(key, candidates) {
+        let best = null;
+        let bestDistance = 3;
+
+        candidates.forEach((candidate) => {
+            const distance = ConfigSchema.editDistance(key.toLowerCase(), candidate.toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Levenshtein distance between two strings
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} Edit distance
+     */
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Export for use in other modules
+window.ConfigSchema = ConfigSchema;
+window.CONFIG_SCHEMA = CONFIG_SCHEMA;
+window.UI_THEMES = UI_THEMES;
\ No newline at end of file
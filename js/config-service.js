@@ -2,12 +2,62 @@
  * Configuration Service for Robot Audio Recorder (OpenVidu v3)
  * Simplified vanilla JS configuration management
  */
+
+/**
+ * Configuration layers in increasing priority:
+ *   defaults - built into ConfigService
+ *   file     - assets/config/dashboard-config.json
+ *   shared   - "shared" section of assets/config/profiles.json
+ *   profile  - the profile selected by the profile key, robotId or hostname (see selectProfile)
+ *   local    - preferences saved by SettingsStore and changes made at runtime
+ *   global   - window.__ROBOT_CONFIG__, injected by the launchers before the page loads
+ *   url      - query parameters, e.g. index.html?robotId=robot-007&endpoint=http://host:8080
+ * The global and url layers only accept the keys in CONFIG_OVERRIDES and are never saved.
+ */
+const CONFIG_LAYERS = ['defaults', 'file', 'shared', 'profile', 'local', 'global', 'url'];
+
+/**
+ * Config files served with the dashboard
+ */
+const CONFIG_FILE_PATH = 'assets/config/dashboard-config.json';
+const PROFILES_FILE_PATH = 'assets/config/profiles.json';
+
+/**
+ * Keys accepted from the URL and window.__ROBOT_CONFIG__, mapped to config paths
+ */
+const CONFIG_OVERRIDES = {
+    robotId: 'robotId',
+    profile: 'profile',
+    endpoint: 'server.endpoint',
+    livekitUrl: 'livekitServer.url',
+    applicationServer: 'livekitServer.applicationServer',
+    theme: 'ui.theme',
+    speaker: 'speaker',
+    microphone: 'microphone',
+    audioDevice: 'audioDevice',
+    audioOutputDevice: 'audioOutputDevice',
+    authType: 'auth.type',
+    authToken: 'auth.token',
+    apiKey: 'auth.apiKey',
+    authSecret: 'auth.secret'
+};
+
+/**
+ * Credential overrides only accepted from window.__ROBOT_CONFIG__; URLs end up in logs and browser history
+ */
+const CREDENTIAL_OVERRIDES = ['authToken', 'apiKey', 'authSecret'];
+
+/**
+ * Credential paths masked in exports and inspectConfig
+ */
+const CREDENTIAL_PATHS = ['auth.token', 'auth.apiKey', 'auth.secret'];
+
 class ConfigService {
     constructor() {
         console.log('ConfigService Init');
         
         // Default app configuration
-        this.appConfig = {
+        const defaults = {
             production: false,
             robotId: 'robot-001',
             server: {
@@ -16,16 +66,135 @@ class ConfigService {
             speaker: true,
             microphone: true,
             audioDevice: '',
+            masterVolume: 1,
+            participantVolumes: {},
             maxConnectionAttempts: 3,
             reconnectDelay: 5000,
+            maxReconnectDelay: 60000,
             connectionTimeout: 10000,
+            // Opt-in: set configReload.enabled in dashboard-config.json (or a profile) to poll the config files
+            configReload: {
+                enabled: false,
+                interval: 30000
+            },
             openviduVersion: 'v3',
             api: {
                 token: '/application-server/api/token',
-                health: '/application-server/health'
+                health: '/application-server/health',
+                tokenRefreshMargin: 60000
+            },
+            servers: [],
+            serverSelection: {
+                strategy: 'ordered',
+                healthCheck: true,
+                healthCheckTimeout: 3000
+            },
+            http: {
+                retries: 2,
+                retryDelay: 1000,
+                maxRetryDelay: 10000
+            },
+            auth: {
+                type: 'none',
+                apiKeyHeader: 'X-API-Key'
+            },
+            recording: {
+                format: 'webm-opus',
+                mode: 'both',
+                audioBitsPerSecond: 64000,
+                timeslice: 1000,
+                channelCount: 1
+            },
+            // Opt-in: set upload.enabled, and upload.endpoint when simple-proxy is not server.endpoint
+            upload: {
+                enabled: false,
+                endpoint: '',
+                path: '/recordings/upload',
+                chunkSize: 512 * 1024,
+                timeout: 60000,
+                retryDelay: 5000,
+                maxRetryDelay: 300000
+            },
+            microphoneProcessing: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                channelCount: 1,
+                sampleRate: 48000,
+                highPassFilter: {
+                    enabled: false,
+                    frequency: 100
+                }
+            },
+            // Opt-in: set outputProcessing.enabled to protect robot speakers (see the "outdoor" example in profiles.json)
+            outputProcessing: {
+                enabled: false,
+                maxOutputLevel: 0.89,
+                compressor: {
+                    threshold: -24,
+                    knee: 30,
+                    ratio: 4,
+                    attack: 0.003,
+                    release: 0.25
+                },
+                limiter: {
+                    headroom: 1,
+                    release: 0.1
+                }
+            },
+            audioLevels: {
+                interval: 100,
+                speakingThreshold: -50,
+                speakingHoldTime: 400
+            },
+            ui: {
+                theme: 'default',
+                showParticipantNames: true,
+                showConnectionStatus: true,
+                showAudioIndicators: true
+            },
+            settings: {
+                enabled: true,
+                pin: ''
+            },
+            features: {
+                autoReconnect: true,
+                unlimitedReconnect: false, // opt-in: reconnect forever instead of failing after maxConnectionAttempts
+                audioLevelMonitoring: true,
+                persistSettings: true,
+                enableVideo: false,
+                enableAudio: true
+            },
+            livekit: {
+                adaptiveStream: true,
+                dynacast: true,
+                publishDefaults: {
+                    dtx: true,
+                    red: true
+                }
             }
         };
 
+        // Each layer is validated on its own; appConfig is their deep merge
+        this.layers = {
+            defaults,
+            file: {},
+            shared: {},
+            profile: {},
+            local: {},
+            global: {},
+            url: {}
+        };
+        this.validationErrors = [];
+        this.profiles = {};
+        this.activeProfile = null; // { name, matchedBy }
+        this.fileValidators = {}; // path -> { etag, lastModified, text }
+        this.watchTimer = null;
+        this.reloading = false;
+        this.changeListeners = new Set();
+        this.settingsStore = new SettingsStore();
+        this.rebuildConfig();
+
         console.log('Default configuration:', this.appConfig);
     }
 
@@ -35,35 +204,19 @@ class ConfigService {
      */
     async loadAppConfig() {
         try {
-            // Try Docker-specific config first, then fallback to default
-            let configPath = 'assets/config/dashboard-config.json';
-            
-            // Check if we're in Docker environment by trying Docker config
-            // try {
-            //     const dockerResponse = await fetch('assets/config/dashboard-config-docker.json');
-            //     if (dockerResponse.ok) {
-            //         configPath = 'assets/config/dashboard-config-docker.json';
-            //         console.log('Using Docker configuration');
-            //     }
-            // } catch (dockerError) {
-            //     console.log('Docker config not found, using default config');
-            // }
+            // Per-robot variants belong in assets/config/profiles.json (see loadProfiles)
+            console.log('Loading configuration from:', CONFIG_FILE_PATH);
             
-            console.log('Loading configuration from:', configPath);
-            
-            const response = await fetch(configPath);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const remoteConfig = await this.fetchConfigFile(CONFIG_FILE_PATH);
+            if (!remoteConfig) {
+                throw new Error(`${CONFIG_FILE_PATH} not found`);
             }
             
-            const remoteConfig = await response.json();
             console.log('### ConfigService loaded dashboard config:', remoteConfig);
             
-            // Merge remote config with defaults (remote config takes priority)
-            this.appConfig = { 
-                ...this.appConfig,
-                ...remoteConfig 
-            };
+            // Deep merge over the defaults; local overrides keep priority
+            this.setLayer('file', remoteConfig);
+            this.applyPersistSettings();
             
             console.log('Final merged configuration:', this.appConfig);
             
@@ -74,44 +227,327 @@ class ConfigService {
     }
 
     /**
-     * Load configuration from local storage if available
+     * Load assets/config/profiles.json and apply its shared section and the matching profile
+     * Format: { "shared": { ...config }, "profiles": { "<name>": { "robotIds": [], "hostnames": [], "config": { ...config } } } }
+     * @returns {Promise<void>}
      */
-    loadLocalConfig() {
+    async loadProfiles() {
         try {
-            const localConfig = localStorage.getItem('robotAudioRecorderConfig');
-            if (localConfig) {
-                const parsedConfig = JSON.parse(localConfig);
-                console.log('Loading local configuration:', parsedConfig);
-                
-                // Merge with existing config (local config overrides for user preferences)
-                this.appConfig = {
-                    ...this.appConfig,
-                    ...parsedConfig
-                };
+            const profilesFile = await this.fetchConfigFile(PROFILES_FILE_PATH);
+            if (!profilesFile) {
+                console.log('No config profiles found');
+                return;
             }
+
+            console.log('ConfigService loaded config profiles:', Object.keys(profilesFile.profiles || {}));
+            this.applyProfilesFile(profilesFile);
+            this.applyPersistSettings();
         } catch (error) {
-            console.log('Error loading local configuration:', error);
+            console.log('ConfigService loadProfiles error:', error);
         }
     }
 
     /**
-     * Save current configuration to local storage
+     * Apply the shared section of a profiles file and select the matching profile
+     * @param {Object} profilesFile - Parsed profiles.json
      */
-    saveLocalConfig() {
+    applyProfilesFile(profilesFile) {
+        const errors = [];
+        Object.keys(profilesFile).forEach((key) => {
+            if (key !== 'shared' && key !== 'profiles') {
+                errors.push({ layer: 'shared', path: key, message: `Unknown profiles.json section "${key}"` });
+            }
+        });
+
+        this.profiles = ConfigSchema.isPlainObject(profilesFile.profiles) ? profilesFile.profiles : {};
+        this.setLayer('shared', profilesFile.shared || {}, errors);
+        this.selectProfile();
+    }
+
+    /**
+     * Fetch a JSON config file, using ETag/Last-Modified so unchanged files cost a 304
+     * @param {string} path - File path
+     * @param {Object} validators - Where to record the new validators (null for a missing file);
+     *   defaults to the saved ones, pass a scratch object to save them only once the file is applied
+     * @returns {Promise<Object|null|undefined>} Parsed file, null if it does not exist, undefined if unchanged
+     */
+    async fetchConfigFile(path, validators = this.fileValidators) {
+        const previous = this.fileValidators[path] || {};
+        const headers = {};
+        if (previous.etag) headers['If-None-Match'] = previous.etag;
+        if (previous.lastModified) headers['If-Modified-Since'] = previous.lastModified;
+
+        // no-store: the browser cache must not answer the conditional request for us
+        const response = await fetch(path, { headers, cache: 'no-store' });
+        if (response.status === 304) {
+            return undefined;
+        }
+        // Single-page servers (like simple-proxy.js) answer missing files with index.html
+        const contentType = response.headers.get('Content-Type') || '';
+        if (response.status === 404 || (response.ok && contentType.includes('text/html'))) {
+            validators[path] = null;
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        const text = await response.text();
+        const parsed = JSON.parse(text);
+        validators[path] = {
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            text
+        };
+
+        // Servers without validators always answer 200, so compare the content too
+        return previous.text === text ? undefined : parsed;
+    }
+
+    /**
+     * Get live config reload settings
+     * @returns {Object} { enabled, interval }
+     */
+    getConfigReloadConfig() {
+        return {
+            enabled: false,
+            interval: 30000,
+            ...this.appConfig.configReload
+        };
+    }
+
+    /**
+     * Poll the config files for changes (configReload.enabled)
+     * @returns {boolean} True if watching
+     */
+    startWatching() {
+        this.stopWatching();
+
+        const { enabled, interval } = this.getConfigReloadConfig();
+        if (!enabled) {
+            return false;
+        }
+
+        this.watchTimer = setInterval(() => this.reloadConfig(), interval);
+        console.log(`Watching config files for changes every ${interval / 1000}s`);
+        return true;
+    }
+
+    /**
+     * Stop polling the config files
+     */
+    stopWatching() {
+        if (this.watchTimer) {
+            clearInterval(this.watchTimer);
+            this.watchTimer = null;
+        }
+    }
+
+    /**
+     * Re-read the config files and notify listeners of any effective changes
+     * @returns {Promise<Array<Object>>} Diff of changed values ([] if nothing changed)
+     */
+    async reloadConfig() {
+        if (this.reloading) return [];
+        this.reloading = true;
+
         try {
-            // Only save user preferences, not the entire config
-            const userPrefs = {
-                speaker: this.appConfig.speaker,
-                microphone: this.appConfig.microphone,
-                audioDevice: this.appConfig.audioDevice
-            };
-            localStorage.setItem('robotAudioRecorderConfig', JSON.stringify(userPrefs));
-            console.log('User preferences saved to local storage');
+            const before = this.appConfig;
+            // Saved only after both files are applied: a failed reload must not mark a change as seen
+            const validators = {};
+            const remoteConfig = await this.fetchConfigFile(CONFIG_FILE_PATH, validators);
+            const profilesFile = await this.fetchConfigFile(PROFILES_FILE_PATH, validators);
+
+            if (remoteConfig === undefined && profilesFile === undefined) {
+                Object.assign(this.fileValidators, validators);
+                return [];
+            }
+
+            // A missing dashboard config keeps the last good one; a missing profiles file removes the profiles
+            if (remoteConfig) {
+                this.setLayer('file', remoteConfig);
+            }
+            if (profilesFile !== undefined) {
+                this.applyProfilesFile(profilesFile || {});
+            } else {
+                // A changed robotId can select a different profile
+                this.selectProfile();
+            }
+            this.applyPersistSettings();
+            Object.assign(this.fileValidators, validators);
+
+            const diff = ConfigSchema.diff(before, this.appConfig);
+            if (diff.length > 0) {
+                console.log('Configuration files changed:', diff);
+                this.notifyChange(diff, 'reload');
+            }
+            return diff;
         } catch (error) {
-            console.log('Error saving configuration to local storage:', error);
+            // Keep the current configuration, e.g. while a file is half-written
+            console.warn('Config reload failed, keeping current configuration:', error);
+            return [];
+        } finally {
+            this.reloading = false;
         }
     }
 
+    /**
+     * Choose the active profile: an explicit profile key wins, then a robotId match, then a hostname match
+     */
+    selectProfile() {
+        // Decide on the configuration without any profile applied, so a profile cannot select itself
+        const baseConfig = ConfigSchema.deepMerge(
+            ...CONFIG_LAYERS.filter((name) => name !== 'profile').map((name) => this.layers[name])
+        );
+        const hostname = (window.location.hostname || '').toLowerCase();
+        const names = Object.keys(this.profiles);
+        const errors = [];
+        let selected = null;
+
+        if (baseConfig.profile) {
+            if (this.profiles[baseConfig.profile]) {
+                selected = { name: baseConfig.profile, matchedBy: 'profile' };
+            } else {
+                errors.push({ layer: 'profile', path: 'profile', message: `Unknown profile "${baseConfig.profile}" (available: ${names.join(', ') || 'none'})` });
+            }
+        }
+
+        if (!selected) {
+            const name = names.find((candidate) => (this.profiles[candidate].robotIds || []).includes(baseConfig.robotId));
+            if (name) selected = { name, matchedBy: 'robotId' };
+        }
+
+        if (!selected && hostname) {
+            const name = names.find((candidate) => (this.profiles[candidate].hostnames || [])
+                .some((profileHost) => String(profileHost).toLowerCase() === hostname));
+            if (name) selected = { name, matchedBy: 'hostname' };
+        }
+
+        this.activeProfile = selected;
+
+        if (!selected) {
+            this.setLayer('profile', {}, errors);
+            return;
+        }
+
+        const profile = this.profiles[selected.name];
+        Object.keys(profile).forEach((key) => {
+            if (!['robotIds', 'hostnames', 'config'].includes(key)) {
+                errors.push({ layer: 'profile', path: key, message: `Unknown key "${key}" in profile "${selected.name}"` });
+            }
+        });
+
+        console.log(`Using config profile "${selected.name}" (matched by ${selected.matchedBy})`);
+        this.setLayer('profile', profile.config || {}, errors);
+    }
+
+    /**
+     * Get the active config profile
+     * @returns {Object|null} { name, matchedBy } or null when no profile applies
+     */
+    getActiveProfile() {
+        return this.activeProfile ? { ...this.activeProfile } : null;
+    }
+
+    /**
+     * Without settings persistence, drop the preferences restored from local storage
+     */
+    applyPersistSettings() {
+        if (!this.isFeatureEnabled('persistSettings') && Object.keys(this.layers.local).length > 0) {
+            console.log('Settings persistence disabled, ignoring locally saved preferences');
+            this.setLayer('local', {});
+        }
+    }
+
+    /**
+     * Load preferences saved on this robot (migrated to the current settings version)
+     */
+    loadLocalConfig() {
+        const localConfig = this.settingsStore.load();
+        if (Object.keys(localConfig).length > 0) {
+            console.log('Loading local configuration:', localConfig);
+
+            // Local config overrides the file for user preferences
+            this.setLayer('local', localConfig);
+        }
+    }
+
+    /**
+     * Load overrides from window.__ROBOT_CONFIG__ and the URL query string
+     */
+    loadOverrides() {
+        const injected = window.__ROBOT_CONFIG__;
+        if (injected && typeof injected === 'object') {
+            console.log('Loading injected configuration:', Object.keys(injected));
+            this.setOverrideLayer('global', Object.entries(injected));
+        } else if (injected !== undefined) {
+            this.setLayer('global', {}, [{ layer: 'global', path: '', message: 'window.__ROBOT_CONFIG__ must be an object' }]);
+        }
+
+        const params = Array.from(new URLSearchParams(window.location.search).entries());
+        if (params.length > 0) {
+            console.log('Loading URL configuration:', Object.fromEntries(params));
+            this.setOverrideLayer('url', params);
+        }
+    }
+
+    /**
+     * Build an override layer from whitelisted keys
+     * @param {string} name - Layer name ('global' or 'url')
+     * @param {Array<Array>} entries - [key, value] pairs
+     */
+    setOverrideLayer(name, entries) {
+        const values = {};
+        const errors = [];
+
+        entries.forEach(([key, value]) => {
+            const path = CONFIG_OVERRIDES[key];
+            if (name === 'url' && CREDENTIAL_OVERRIDES.includes(key)) {
+                errors.push({ layer: name, path: key, message: `"${key}" is only accepted from window.__ROBOT_CONFIG__, not from the URL` });
+                return;
+            }
+            if (!path) {
+                errors.push({
+                    layer: name,
+                    path: key,
+                    message: `"${key}" cannot be overridden (allowed: ${Object.keys(CONFIG_OVERRIDES).join(', ')})`
+                });
+                return;
+            }
+
+            ConfigSchema.setPath(values, path, ConfigSchema.coerce(value, ConfigSchema.getNode(path)));
+        });
+
+        this.setLayer(name, values, errors);
+    }
+
+    /**
+     * Save user preferences to local storage
+     */
+    saveLocalConfig() {
+        if (!this.isFeatureEnabled('persistSettings')) {
+            return;
+        }
+
+        // Only the local layer (changes made on this robot) is saved, so later file changes still apply
+        if (this.settingsStore.save(this.layers.local)) {
+            console.log('User preferences saved to local storage');
+        }
+    }
+
+    /**
+     * Forget all preferences saved on this robot and fall back to the config files
+     */
+    resetLocalConfig() {
+        const before = this.appConfig;
+        this.settingsStore.clear();
+        this.setLayer('local', {});
+        this.selectProfile();
+        console.log('Local preferences reset to defaults');
+
+        this.notifyChange(ConfigSchema.diff(before, this.appConfig), 'reset');
+    }
+
     /**
      * Get the current configuration
      * @returns {Object} Current configuration object
@@ -120,17 +556,217 @@ class ConfigService {
         return this.appConfig;
     }
 
+    /**
+     * Replace a configuration layer (validated) and rebuild the merged configuration
+     * @param {string} name - Layer name from CONFIG_LAYERS
+     * @param {Object} values - Layer values
+     * @param {Array<Object>} extraErrors - Problems already found while building the layer
+     */
+    setLayer(name, values, extraErrors = []) {
+        const validation = ConfigSchema.validate(values, name);
+        const errors = [...extraErrors, ...validation.errors];
+
+        this.layers[name] = validation.value;
+        this.validationErrors = [
+            ...this.validationErrors.filter((error) => error.layer !== name),
+            ...errors
+        ];
+        errors.forEach((error) => console.warn(`Config (${name}): ${error.message}`));
+
+        this.rebuildConfig();
+    }
+
+    /**
+     * Deep merge all layers into appConfig and attach validation metadata
+     */
+    rebuildConfig() {
+        this.appConfig = ConfigSchema.deepMerge(...CONFIG_LAYERS.map((name) => this.layers[name]));
+
+        const required = ConfigSchema.checkRequired(this.appConfig);
+        this.validationErrors = [
+            ...this.validationErrors.filter((error) => error.layer !== 'merged'),
+            ...required
+        ];
+
+        // Not enumerable, so the metadata stays out of JSON output and spreads
+        Object.defineProperty(this.appConfig, '__meta', {
+            value: {
+                layers: CONFIG_LAYERS.filter((name) => Object.keys(this.layers[name]).length > 0),
+                valid: this.validationErrors.length === 0,
+                errors: this.getValidationErrors()
+            },
+            enumerable: false
+        });
+    }
+
+    /**
+     * Report where every effective value came from
+     * @returns {Object} { profile, layers, values } - values maps dotted paths to { value, layer }
+     */
+    inspectConfig() {
+        const values = {};
+
+        const walk = (object, prefix) => {
+            Object.entries(object).forEach(([key, value]) => {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (ConfigSchema.isPlainObject(value) && Object.keys(value).length > 0) {
+                    walk(value, path);
+                } else {
+                    const shown = CREDENTIAL_PATHS.includes(path) && value ? '***' : value;
+                    values[path] = { value: shown, layer: this.getValueLayer(path) };
+                }
+            });
+        };
+        walk(this.appConfig, '');
+
+        return {
+            profile: this.getActiveProfile(),
+            layers: this.appConfig.__meta.layers,
+            values
+        };
+    }
+
+    /**
+     * Find the highest-priority layer that sets a value
+     * @param {string} path - Dotted config path, e.g. 'server.endpoint'
+     * @returns {string|null} Layer name ('profile:<name>' for the active profile)
+     */
+    getValueLayer(path) {
+        const keys = path.split('.');
+
+        for (let i = CONFIG_LAYERS.length - 1; i >= 0; i--) {
+            const name = CONFIG_LAYERS[i];
+            let value = this.layers[name];
+            for (const key of keys) {
+                value = ConfigSchema.isPlainObject(value) ? value[key] : undefined;
+            }
+
+            if (value !== undefined) {
+                return name === 'profile' && this.activeProfile ? `profile:${this.activeProfile.name}` : name;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get problems found while validating the configuration layers
+     * @returns {Array<Object>} [{ layer, path, message }]
+     */
+    getValidationErrors() {
+        return this.validationErrors.map((error) => ({ ...error }));
+    }
+
+    /**
+     * Set a user preference in the local layer and save it
+     * @param {string} key - Top-level config key
+     * @param {any} value - New value
+     */
+    setPreference(key, value) {
+        this.setLayer('local', { ...this.layers.local, [key]: value });
+        this.saveLocalConfig();
+    }
+
     /**
      * Update user preferences
-     * @param {Object} updates - Configuration updates
+     * @param {Object} updates - Configuration updates (top-level sections are replaced)
      */
     updateConfig(updates) {
-        this.appConfig = {
-            ...this.appConfig,
+        const before = this.appConfig;
+        this.setLayer('local', {
+            ...this.layers.local,
             ...updates
-        };
+        });
         this.saveLocalConfig();
         console.log('Configuration updated:', updates);
+
+        this.notifyChange(ConfigSchema.diff(before, this.appConfig), 'update');
+    }
+
+    /**
+     * Deep merge values into the local layer and save them (used by the settings panel)
+     * @param {Object} values - Partial configuration, e.g. { server: { endpoint: '...' } }
+     * @param {string} source - Change source reported to listeners
+     */
+    setValues(values, source = 'settings') {
+        const before = this.appConfig;
+        this.setLayer('local', ConfigSchema.deepMerge(this.layers.local, values));
+        // robotId and profile decide which profile applies
+        this.selectProfile();
+        this.saveLocalConfig();
+        console.log('Configuration values set:', values);
+
+        this.notifyChange(ConfigSchema.diff(before, this.appConfig), source);
+    }
+
+    /**
+     * Export the effective configuration (without the settings panel PIN and auth credentials)
+     * @returns {Object} Deep copy of the merged configuration
+     */
+    exportConfig() {
+        const { settings, ...config } = ConfigSchema.deepMerge(this.appConfig);
+        CREDENTIAL_PATHS.forEach((path) => {
+            const [section, key] = path.split('.');
+            if (config[section]) {
+                delete config[section][key];
+            }
+        });
+        return config;
+    }
+
+    /**
+     * Import a configuration exported by exportConfig, replacing the locally saved preferences.
+     * Only values that differ from the config files are kept, so later file changes still apply.
+     * @param {Object} config - Configuration object
+     * @returns {Array<Object>} Problems found, [{ layer: 'import', path, message }]; offending values are skipped
+     */
+    importConfig(config) {
+        const { value, errors } = ConfigSchema.validate(config, 'import');
+        delete value.settings;
+
+        const base = ConfigSchema.deepMerge(this.layers.defaults, this.layers.file, this.layers.shared, this.layers.profile);
+        const local = {};
+        ConfigSchema.diff(base, ConfigSchema.deepMerge(base, value)).forEach(({ path, to }) => {
+            const key = path.split('.')[0];
+            if (!PERSISTED_SETTINGS_KEYS.includes(key)) {
+                errors.push({ layer: 'import', path, message: `"${path}" can only be changed in ${CONFIG_FILE_PATH}` });
+                return;
+            }
+            ConfigSchema.setPath(local, path, to);
+        });
+
+        const before = this.appConfig;
+        this.setLayer('local', local);
+        this.selectProfile();
+        this.saveLocalConfig();
+        console.log('Configuration imported:', local, errors);
+
+        this.notifyChange(ConfigSchema.diff(before, this.appConfig), 'import');
+        return errors;
+    }
+
+    /**
+     * Register a listener notified after updateConfig, setValues and importConfig calls and config file reloads
+     * @param {Function} listener - Callback receiving (diff, source) where diff is [{ path, from, to }]
+     *                              and source is 'update', 'settings', 'import', 'reset' or 'reload'
+     */
+    onChange(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    /**
+     * Notify change listeners
+     * @param {Array<Object>} diff - Changed values
+     * @param {string} source - 'update', 'settings', 'import', 'reset' or 'reload'
+     */
+    notifyChange(diff, source) {
+        this.changeListeners.forEach((listener) => {
+            try {
+                listener(diff, source);
+            } catch (error) {
+                console.error('Configuration listener error:', error);
+            }
+        });
     }
 
     /**
@@ -141,6 +777,47 @@ class ConfigService {
         return this.appConfig.server?.endpoint || 'http://localhost:3000';
     }
 
+    /**
+     * Get the application servers to use, in configured order
+     * @returns {Array<Object>} [{ name, endpoint, livekitUrl, weight }] - falls back to server.endpoint
+     *                          (livekitUrl is '' when the token response decides)
+     */
+    getServers() {
+        const servers = this.appConfig.servers || [];
+
+        if (servers.length === 0) {
+            return [{ name: 'default', endpoint: this.getServerEndpoint(), livekitUrl: '', weight: 1 }];
+        }
+
+        return servers.map((server, index) => ({
+            name: server.name || `server-${index + 1}`,
+            endpoint: server.endpoint,
+            livekitUrl: server.livekitUrl || '',
+            weight: server.weight !== undefined ? server.weight : 1
+        }));
+    }
+
+    /**
+     * Get how an application server is chosen from getServers()
+     * @returns {Object} { strategy: 'ordered'|'weighted', healthCheck, healthCheckTimeout }
+     */
+    getServerSelectionConfig() {
+        return {
+            strategy: 'ordered',
+            healthCheck: true,
+            healthCheckTimeout: 3000,
+            ...this.appConfig.serverSelection
+        };
+    }
+
+    /**
+     * Get the LiveKit URL used when the token response does not name one
+     * @returns {string} LiveKit URL or ''
+     */
+    getLiveKitUrl() {
+        return this.appConfig.livekitServer?.url || '';
+    }
+
     /**
      * Get robot ID
      * @returns {string} Robot ID
@@ -167,10 +844,26 @@ class ConfigService {
 
     /**
      * Get maximum connection attempts
-     * @returns {number} Max connection attempts
+     * @returns {number} Max connection attempts (0 disables automatic reconnects)
      */
     getMaxConnectionAttempts() {
-        return this.appConfig.maxConnectionAttempts || 3;
+        return this.appConfig.maxConnectionAttempts ?? 3;
+    }
+
+    /**
+     * Get connection timeout in milliseconds
+     * @returns {number} Connection timeout
+     */
+    getConnectionTimeout() {
+        return this.appConfig.connectionTimeout || 10000;
+    }
+
+    /**
+     * Get LiveKit room/publish/connect options as configured (validated by LiveKitOptionsBuilder)
+     * @returns {Object} Raw livekit config section
+     */
+    getLiveKitConfig() {
+        return this.appConfig.livekit || {};
     }
 
     /**
@@ -178,7 +871,44 @@ class ConfigService {
      * @returns {number} Reconnection delay
      */
     getReconnectDelay() {
-        return this.appConfig.reconnectDelay || 5000;
+        return this.appConfig.reconnectDelay ?? 5000;
+    }
+
+    /**
+     * Get the cap for the exponential reconnect backoff in milliseconds
+     * @returns {number} Maximum reconnection delay
+     */
+    getMaxReconnectDelay() {
+        return this.appConfig.maxReconnectDelay ?? 60000;
+    }
+
+    /**
+     * Get timeout and retry settings for application server requests
+     * @returns {Object} { timeout, retries, retryDelay, maxRetryDelay } - timeout defaults to connectionTimeout
+     */
+    getHttpConfig() {
+        return {
+            timeout: this.getConnectionTimeout(),
+            retries: 2,
+            retryDelay: 1000,
+            maxRetryDelay: 10000,
+            ...this.appConfig.http
+        };
+    }
+
+    /**
+     * Get credentials for application server requests
+     * @returns {Object} { type, token, apiKey, apiKeyHeader, secret }
+     */
+    getAuthConfig() {
+        return {
+            type: 'none',
+            token: '',
+            apiKey: '',
+            apiKeyHeader: 'X-API-Key',
+            secret: '',
+            ...this.appConfig.auth
+        };
     }
 
     /**
@@ -192,6 +922,213 @@ class ConfigService {
         };
     }
 
+    /**
+     * Get master output volume
+     * @returns {number} Linear volume (1 = 100%)
+     */
+    getMasterVolume() {
+        return typeof this.appConfig.masterVolume === 'number' ? this.appConfig.masterVolume : 1;
+    }
+
+    /**
+     * Set master output volume
+     * @param {number} volume - Linear volume (1 = 100%)
+     */
+    setMasterVolume(volume) {
+        this.setPreference('masterVolume', volume);
+    }
+
+    /**
+     * Get remembered volume for a participant
+     * @param {string} identity - Participant identity
+     * @returns {number} Linear volume (1 = 100%)
+     */
+    getParticipantVolume(identity) {
+        const volumes = this.appConfig.participantVolumes || {};
+        return typeof volumes[identity] === 'number' ? volumes[identity] : 1;
+    }
+
+    /**
+     * Remember volume for a participant
+     * @param {string} identity - Participant identity
+     * @param {number} volume - Linear volume (1 = 100%)
+     */
+    setParticipantVolume(identity, volume) {
+        const volumes = { ...this.appConfig.participantVolumes };
+
+        // 100% is the default, so there is nothing to remember
+        if (volume === 1) {
+            delete volumes[identity];
+        } else {
+            volumes[identity] = volume;
+        }
+
+        this.setPreference('participantVolumes', volumes);
+    }
+
+    /**
+     * Get recording settings
+     * @returns {Object} Recording format, mode and encoder settings
+     */
+    getRecordingConfig() {
+        return {
+            format: 'webm-opus',
+            mode: 'both',
+            audioBitsPerSecond: 64000,
+            timeslice: 1000,
+            channelCount: 1,
+            ...this.appConfig.recording
+        };
+    }
+
+    /**
+     * Get recording upload settings
+     * @returns {Object} Upload endpoint, chunk size and retry settings
+     */
+    getUploadConfig() {
+        return {
+            enabled: false,
+            endpoint: '',
+            path: '/recordings/upload',
+            chunkSize: 512 * 1024,
+            timeout: 60000,
+            retryDelay: 5000,
+            maxRetryDelay: 300000,
+            ...this.appConfig.upload
+        };
+    }
+
+    /**
+     * Get microphone processing settings
+     * @returns {Object} Browser DSP flags, capture format and high-pass filter settings
+     */
+    getMicrophoneProcessingConfig() {
+        const settings = this.appConfig.microphoneProcessing || {};
+
+        return {
+            echoCancellation: true,
+            noiseSuppression: true,
+            autoGainControl: true,
+            channelCount: 1,
+            sampleRate: 48000,
+            ...settings,
+            highPassFilter: {
+                enabled: false,
+                frequency: 100,
+                ...settings.highPassFilter
+            }
+        };
+    }
+
+    /**
+     * Build LiveKit audio capture options from the microphone processing settings
+     * @param {string} deviceId - Audio input device ID ('' for default)
+     * @returns {Object} AudioCaptureOptions for createLocalAudioTrack
+     */
+    getMicrophoneCaptureOptions(deviceId = '') {
+        const settings = this.getMicrophoneProcessingConfig();
+        const options = {
+            echoCancellation: settings.echoCancellation,
+            noiseSuppression: settings.noiseSuppression,
+            autoGainControl: settings.autoGainControl,
+            channelCount: settings.channelCount,
+            sampleRate: settings.sampleRate
+        };
+
+        if (deviceId) {
+            options.deviceId = deviceId;
+        }
+
+        return options;
+    }
+
+    /**
+     * Get output protection (compressor/limiter) settings
+     * @returns {Object} Output processing settings
+     */
+    getOutputProcessingConfig() {
+        const settings = this.appConfig.outputProcessing || {};
+
+        return {
+            enabled: settings.enabled === true,
+            // Linear sample ceiling (0.89 is about -1 dBFS)
+            maxOutputLevel: Math.max(0.01, Math.min(1, settings.maxOutputLevel || 0.89)),
+            compressor: {
+                threshold: -24,
+                knee: 30,
+                ratio: 4,
+                attack: 0.003,
+                release: 0.25,
+                ...settings.compressor
+            },
+            limiter: {
+                headroom: 1,
+                release: 0.1,
+                ...settings.limiter
+            }
+        };
+    }
+
+    /**
+     * Get audio level metering settings
+     * @returns {Object} Polling interval (ms), speaking threshold (dBFS) and hold time (ms)
+     */
+    getAudioLevelConfig() {
+        return {
+            interval: 100,
+            speakingThreshold: -50,
+            speakingHoldTime: 400,
+            ...this.appConfig.audioLevels
+        };
+    }
+
+    /**
+     * Get UI settings
+     * @returns {Object} Theme and visibility toggles
+     */
+    getUiConfig() {
+        // ui.theme is checked against UI_THEMES by the config schema
+        return {
+            theme: 'default',
+            showParticipantNames: true,
+            showConnectionStatus: true,
+            showAudioIndicators: true,
+            ...this.appConfig.ui
+        };
+    }
+
+    /**
+     * Get settings panel options
+     * @returns {Object} { enabled, pin } - an empty PIN keeps the panel locked
+     */
+    getSettingsConfig() {
+        return {
+            enabled: true,
+            pin: '',
+            ...this.appConfig.settings
+        };
+    }
+
+    /**
+     * Check whether a feature flag is enabled (flags without a default are on unless explicitly disabled)
+     * @param {string} feature - Feature name from the features config section
+     * @returns {boolean} True if enabled
+     */
+    isFeatureEnabled(feature) {
+        return this.getFeatureFlags()[feature] !== false;
+    }
+
+    /**
+     * Get the effective feature flags (defaults overlaid with the features config section)
+     * @returns {Object} Feature name -> enabled
+     */
+    getFeatureFlags() {
+        return {
+            ...this.layers.defaults.features,
+            ...this.appConfig.features
+        };
+    }
+
     /**
      * Get preferred audio device ID
      * @returns {string} Audio device ID
@@ -205,8 +1142,7 @@ class ConfigService {
      * @param {string} deviceId - Audio device ID
      */
     setAudioDevice(deviceId) {
-        this.appConfig.audioDevice = deviceId;
-        this.saveLocalConfig();
+        this.setPreference('audioDevice', deviceId);
         console.log('Audio input device updated:', deviceId);
     }
 
@@ -223,11 +1159,12 @@ class ConfigService {
      * @param {string} deviceId - Audio output device ID
      */
     setAudioOutputDevice(deviceId) {
-        this.appConfig.audioOutputDevice = deviceId;
-        this.saveLocalConfig();
+        this.setPreference('audioOutputDevice', deviceId);
         console.log('Audio output device updated:', deviceId);
     }
 }
 
 // Export for use in other modules
-window.ConfigService = ConfigService;
\ No newline at end of file
+window.ConfigService = ConfigService;
+window.CONFIG_LAYERS = CONFIG_LAYERS;
+window.CONFIG_OVERRIDES = CONFIG_OVERRIDES;
\ No newline at end of file
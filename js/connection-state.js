@@ -0,0 +1,251 @@
+/**
+ * Connection state machine for Robot Audio Recorder
+ * Tracks the room connection through explicit states and schedules reconnect attempts with
+ * capped exponential backoff plus jitter.
+ *
+ *   idle -> connecting -> connected <-> reconnecting
+ *               |             |              |
+ *               +-------> backing-off <------+
+ *               |             |
+ *               +-------> failed (non-retryable error, or attempts used up)
+ *
+ * leaveRoom returns every state to idle. While paused (browser offline), backing-off waits for
+ * setPaused(false) instead of a timer and failures do not use up attempts.
+ * Transitions are reported to onTransition listeners
+ * and dispatched on window as a CONNECTION_STATE_EVENT CustomEvent, so launchers can
+ * observe them from Puppeteer.
+ */
+
+/**
+ * Connection states and the states each one may move to
+ */
+const CONNECTION_TRANSITIONS = {
+    'idle': ['connecting'],
+    'connecting': ['connected', 'backing-off', 'failed', 'idle'],
+    'connected': ['reconnecting', 'backing-off', 'failed', 'idle'],
+    'reconnecting': ['connected', 'backing-off', 'failed', 'idle'],
+    'backing-off': ['reconnecting', 'failed', 'idle'],
+    'failed': ['connecting', 'idle']
+};
+
+/**
+ * Shortest reconnect delay in ms, so unlimited reconnects never spin without waiting
+ */
+const MIN_RECONNECT_DELAY = 500;
+
+/**
+ * Name of the window event fired on every transition (detail: see ConnectionStateMachine.transition)
+ */
+const CONNECTION_STATE_EVENT = 'robot-connection-state';
+
+class ConnectionStateMachine {
+    /**
+     * @param {ConfigService} configService - Configuration service (reconnect policy)
+     */
+    constructor(configService) {
+        this.configService = configService;
+        this.state = 'idle';
+        this.attempt = 0; // reconnect attempts since the last successful connection
+        this.lastError = null;
+        this.retryTimer = null;
+        this.nextRetryAt = null;
+        this.reconnect = null;
+        this.paused = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Register a transition listener
+     * @param {Function} listener - Callback receiving { from, to, attempt, maxAttempts, delay, paused, error, timestamp }
+     */
+    onTransition(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Move to another state
+     * @param {string} to - Target state
+     * @param {Object} details - { error, delay }
+     * @returns {boolean} True if the transition happened; invalid transitions are ignored
+     */
+    transition(to, { error = null, delay = null } = {}) {
+        const from = this.state;
+
+        if (!CONNECTION_TRANSITIONS[from].includes(to)) {
+            console.warn(`Ignoring connection state change ${from} -> ${to}`);
+            return false;
+        }
+
+        this.state = to;
+        if (to === 'connected' || to === 'idle') {
+            this.reset();
+        }
+
+        const event = {
+            from,
+            to,
+            attempt: this.attempt,
+            maxAttempts: this.getPolicy().maxAttempts,
+            delay,
+            paused: this.paused,
+            error: error ? { code: error.code, message: error.userMessage } : null,
+            timestamp: new Date().toISOString()
+        };
+        console.log(`Connection state: ${from} -> ${to}`, delay !== null ? `(retry in ${Math.round(delay)}ms)` : '');
+
+        this.listeners.forEach((listener) => {
+            try {
+                listener(event);
+            } catch (listenerError) {
+                console.error('Error in connection state listener:', listenerError);
+            }
+        });
+        window.dispatchEvent(new CustomEvent(CONNECTION_STATE_EVENT, { detail: event }));
+
+        return true;
+    }
+
+    /**
+     * Decide what follows a failed join or a lost connection: back off and reconnect, or give up
+     * @param {AppError|null} error - Classified failure (null for a dropped connection)
+     * @param {Function} reconnect - Called in the reconnecting state once the backoff delay has passed
+     * @returns {boolean} True if a reconnect was scheduled
+     */
+    scheduleReconnect(error, reconnect) {
+        this.cancelReconnect();
+        this.lastError = error;
+        this.reconnect = reconnect;
+
+        const { maxAttempts, unlimited } = this.getPolicy();
+
+        if (error && !error.retryable) {
+            console.log(`Not reconnecting after ${error.code} error`);
+            this.transition('failed', { error });
+            return false;
+        }
+        if (this.paused) {
+            console.log('Reconnect paused, waiting for the network');
+            return this.transition('backing-off', { error });
+        }
+        if (!unlimited && this.attempt >= maxAttempts) {
+            console.log('Max reconnection attempts reached');
+            this.transition('failed', { error });
+            return false;
+        }
+
+        const delay = this.getBackoffDelay(this.attempt);
+        this.attempt++;
+        if (!this.transition('backing-off', { error, delay })) {
+            this.attempt--;
+            return false;
+        }
+
+        this.nextRetryAt = Date.now() + delay;
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.retryNow();
+        }, delay);
+        return true;
+    }
+
+    /**
+     * Skip the rest of the backoff and reconnect now
+     * @returns {boolean} True if a reconnect was started (only from backing-off)
+     */
+    retryNow() {
+        if (this.state !== 'backing-off' || !this.reconnect) {
+            return false;
+        }
+
+        this.cancelReconnect();
+        if (!this.transition('reconnecting')) {
+            return false;
+        }
+        this.reconnect();
+        return true;
+    }
+
+    /**
+     * Pause reconnect attempts (e.g. while offline); resuming reconnects right away when backing off
+     * @param {boolean} paused - True to pause
+     */
+    setPaused(paused) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+
+        if (paused) {
+            if (this.retryTimer) {
+                console.log('Reconnect paused, waiting for the network');
+                this.cancelReconnect();
+            }
+            return;
+        }
+
+        console.log('Reconnect resumed');
+        this.retryNow();
+    }
+
+    /**
+     * Stop a scheduled reconnect
+     */
+    cancelReconnect() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this.nextRetryAt = null;
+    }
+
+    /**
+     * Forget previous attempts (manual retry or configuration change)
+     */
+    reset() {
+        this.cancelReconnect();
+        this.attempt = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Exponential backoff with jitter: a random delay between half and all of the capped backoff
+     * @param {number} attempt - Reconnect attempt index (0-based)
+     * @returns {number} Delay in ms
+     */
+    getBackoffDelay(attempt) {
+        const { baseDelay, maxDelay } = this.getPolicy();
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * @returns {Object} { baseDelay, maxDelay, maxAttempts, unlimited } (maxAttempts is null when unlimited)
+     */
+    getPolicy() {
+        const unlimited = this.configService.isFeatureEnabled('unlimitedReconnect');
+        const baseDelay = Math.max(MIN_RECONNECT_DELAY, this.configService.getReconnectDelay());
+
+        return {
+            baseDelay,
+            maxDelay: Math.max(baseDelay, this.configService.getMaxReconnectDelay()),
+            maxAttempts: unlimited ? null : this.configService.getMaxConnectionAttempts(),
+            unlimited
+        };
+    }
+
+    /**
+     * @returns {Object} { state, paused, attempt, maxAttempts, nextRetryAt, lastError }
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            paused: this.paused,
+            attempt: this.attempt,
+            maxAttempts: this.getPolicy().maxAttempts,
+            nextRetryAt: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+            lastError: this.lastError ? { code: this.lastError.code, message: this.lastError.message } : null
+        };
+    }
+}
+
+// Export for use in other modules
+window.ConnectionStateMachine = ConnectionStateMachine;
+window.CONNECTION_STATE_EVENT = CONNECTION_STATE_EVENT;
\ No newline at end of file
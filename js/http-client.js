@@ -0,0 +1,182 @@
+/**
+ * HTTP client for Robot Audio Recorder
+ * Shared request layer for application server calls: per-attempt timeouts, cancellation,
+ * and retries with exponential backoff plus jitter for retryable failures only.
+ */
+
+/**
+ * Statuses worth retrying: timeouts, rate limiting and temporary server or gateway failures
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Failure without a usable HTTP response (network error, timeout or cancellation)
+ */
+class HttpRequestError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - { timedOut, cancelled, cause }
+     */
+    constructor(message, { timedOut = false, cancelled = false, cause = null } = {}) {
+        super(message);
+        this.name = 'HttpRequestError';
+        this.timedOut = timedOut;
+        this.cancelled = cancelled;
+        this.cause = cause;
+    }
+}
+
+class HttpClient {
+    /**
+     * @param {ConfigService} configService - Configuration service (timeouts and retry settings)
+     */
+    constructor(configService) {
+        this.configService = configService;
+        // Replaced on cancelAll, so only requests started before the cancel are aborted
+        this.cancelController = new AbortController();
+    }
+
+    /**
+     * Send a request, retrying network errors, timeouts and retryable statuses
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options plus:
+     *   headers - object, or async (attempt) => object for headers that change per attempt (e.g. signatures)
+     *   timeout - per-attempt timeout in ms
+     *   retries - retries after the first attempt
+     *   retryDelay / maxRetryDelay - backoff base and cap in ms
+     * @returns {Promise<Response>} Response (any status once retries are exhausted)
+     */
+    async request(url, options = {}) {
+        const settings = this.configService.getHttpConfig();
+        const { headers, timeout = settings.timeout, retries = settings.retries, retryDelay = settings.retryDelay,
+            maxRetryDelay = settings.maxRetryDelay, ...fetchOptions } = options;
+        const cancelSignal = this.cancelController.signal;
+
+        for (let attempt = 0; ; attempt++) {
+            let retryAfter = null;
+
+            try {
+                const response = await this.fetchWithTimeout(url, {
+                    ...fetchOptions,
+                    headers: typeof headers === 'function' ? await headers(attempt) : headers
+                }, timeout, cancelSignal);
+
+                if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+                    return response;
+                }
+
+                console.warn(`Request to ${url} returned ${response.status} (attempt ${attempt + 1}/${retries + 1})`);
+                retryAfter = this.getRetryAfter(response);
+            } catch (error) {
+                if (!(error instanceof HttpRequestError) || error.cancelled || attempt >= retries) {
+                    throw error;
+                }
+                console.warn(`Request to ${url} failed: ${error.message} (attempt ${attempt + 1}/${retries + 1})`);
+            }
+
+            const delay = retryAfter !== null ? Math.min(retryAfter, maxRetryDelay) : this.getBackoffDelay(attempt, retryDelay, maxRetryDelay);
+            console.log(`Retrying ${url} in ${Math.round(delay)}ms`);
+            await this.sleep(delay, cancelSignal);
+        }
+    }
+
+    /**
+     * Run a single fetch with a timeout, aborting it when the client is cancelled
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @param {number} timeout - Timeout in ms
+     * @param {AbortSignal} cancelSignal - Client cancel signal
+     * @returns {Promise<Response>} Response
+     */
+    async fetchWithTimeout(url, options, timeout, cancelSignal) {
+        if (cancelSignal.aborted) {
+            throw new HttpRequestError(`Request to ${url} cancelled`, { cancelled: true });
+        }
+
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+        const onCancel = () => controller.abort();
+        cancelSignal.addEventListener('abort', onCancel);
+
+        try {
+            return await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new HttpRequestError(`Request to ${url} timed out after ${timeout}ms`, { timedOut: true, cause: error });
+            }
+            if (cancelSignal.aborted) {
+                throw new HttpRequestError(`Request to ${url} cancelled`, { cancelled: true, cause: error });
+            }
+            // Network failures (including CORS rejections) surface as TypeError from fetch
+            throw new HttpRequestError(error.message, { cause: error });
+        } finally {
+            clearTimeout(timer);
+            cancelSignal.removeEventListener('abort', onCancel);
+        }
+    }
+
+    /**
+     * Abort all in-flight requests and pending retries
+     */
+    cancelAll() {
+        this.cancelController.abort();
+        this.cancelController = new AbortController();
+        console.log('In-flight server requests cancelled');
+    }
+
+    /**
+     * Exponential backoff with jitter: a random delay between half and all of the capped backoff
+     * @param {number} attempt - Failed attempt index (0-based)
+     * @param {number} baseDelay - Delay after the first failure in ms
+     * @param {number} maxDelay - Maximum delay in ms
+     * @returns {number} Delay in ms
+     */
+    getBackoffDelay(attempt, baseDelay, maxDelay) {
+        const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+        return delay / 2 + Math.random() * delay / 2;
+    }
+
+    /**
+     * Read a Retry-After header given in seconds
+     * @param {Response} response - Response
+     * @returns {number|null} Delay in ms, or null if absent
+     */
+    getRetryAfter(response) {
+        const seconds = Number(response.headers && response.headers.get('Retry-After'));
+        return Number.isFinite(seconds) && seconds > 0 ? seconds * 1000 : null;
+    }
+
+    /**
+     * Wait, ending early with a cancellation error if the client is cancelled
+     * @param {number} delay - Delay in ms
+     * @param {AbortSignal} cancelSignal - Client cancel signal
+     * @returns {Promise<void>}
+     */
+    sleep(delay, cancelSignal) {
+        return new Promise((resolve, reject) => {
+            if (cancelSignal.aborted) {
+                reject(new HttpRequestError('Request cancelled while waiting to retry', { cancelled: true }));
+                return;
+            }
+
+            const onCancel = () => {
+                clearTimeout(timer);
+                reject(new HttpRequestError('Request cancelled while waiting to retry', { cancelled: true }));
+            };
+            const timer = setTimeout(() => {
+                cancelSignal.removeEventListener('abort', onCancel);
+                resolve();
+            }, delay);
+            cancelSignal.addEventListener('abort', onCancel, { once: true });
+        });
+    }
+}
+
+// Export for use in other modules
+window.HttpClient = HttpClient;
+window.HttpRequestError = HttpRequestError;
+window.RETRYABLE_STATUSES = RETRYABLE_STATUSES;
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * LiveKit options builder for Robot Audio Recorder
+ * Maps the `livekit` block of dashboard-config.json onto LiveKit RoomOptions,
+ * RoomConnectOptions and AudioCaptureOptions, rejecting options it does not know.
+ */
+
+/**
+ * Accepted `livekit` config keys per section.
+ * A type is 'boolean', 'number' or an array of allowed string values.
+ */
+const LIVEKIT_OPTION_SCHEMA = {
+    room: {
+        adaptiveStream: 'boolean',
+        dynacast: 'boolean',
+        disconnectOnPageLeave: 'boolean',
+        stopLocalTrackOnUnpublish: 'boolean'
+    },
+    publishDefaults: {
+        audioPreset: ['telephone', 'speech', 'music', 'musicStereo', 'musicHighQuality', 'musicHighQualityStereo'],
+        audioBitrate: 'number',
+        dtx: 'boolean',
+        red: 'boolean',
+        forceStereo: 'boolean',
+        stopMicTrackOnMute: 'boolean',
+        // LiveKit always publishes audio as Opus; accepted so configs can state it explicitly
+        audioCodec: ['opus'],
+        videoCodec: ['vp8', 'h264', 'vp9', 'av1'],
+        backupCodec: 'boolean',
+        simulcast: 'boolean'
+    },
+    audioCaptureDefaults: {
+        sampleSize: 'number',
+        latency: 'number'
+    },
+    connect: {
+        autoSubscribe: 'boolean',
+        maxRetries: 'number',
+        peerConnectionTimeout: 'number',
+        websocketTimeout: 'number'
+    }
+};
+
+/**
+ * Capture constraints owned by the microphoneProcessing section, which can be changed live from the UI
+ */
+const MICROPHONE_PROCESSING_KEYS = ['echoCancellation', 'noiseSuppression', 'autoGainControl', 'channelCount', 'sampleRate'];
+
+class LiveKitOptionsBuilder {
+    /**
+     * Build LiveKit options from configuration
+     * @param {ConfigService} configService - Configuration service
+     * @returns {Object} { roomOptions, connectOptions, audioCaptureOptions, errors }
+     * audioCaptureOptions only holds the livekit extras, callers add the microphone processing options on top
+     */
+    static build(configService) {
+        const livekitConfig = configService.getLiveKitConfig();
+        const connectionTimeout = configService.getConnectionTimeout();
+        const errors = [];
+
+        const sections = {};
+        Object.entries(livekitConfig).forEach(([key, value]) => {
+            if (LIVEKIT_OPTION_SCHEMA.room[key]) {
+                sections.room = sections.room || {};
+                LiveKitOptionsBuilder.validate(`livekit.${key}`, value, LIVEKIT_OPTION_SCHEMA.room[key], errors, sections.room, key);
+            } else if (LIVEKIT_OPTION_SCHEMA[key] && key !== 'room') {
+                sections[key] = LiveKitOptionsBuilder.validateSection(`livekit.${key}`, value, LIVEKIT_OPTION_SCHEMA[key], errors);
+            } else {
+                errors.push(`Unknown option "livekit.${key}"`);
+            }
+        });
+
+        const room = sections.room || {};
+        const publish = sections.publishDefaults || {};
+        const capture = sections.audioCaptureDefaults || {};
+        const connect = sections.connect || {};
+
+        // audioCodec only documents the (fixed) codec, it is not a LiveKit option
+        const { audioPreset, audioBitrate, audioCodec, ...publishDefaults } = publish;
+        if (audioBitrate !== undefined) {
+            publishDefaults.audioPreset = { maxBitrate: audioBitrate };
+        } else if (audioPreset !== undefined) {
+            publishDefaults.audioPreset = LivekitClient.AudioPresets[audioPreset];
+        }
+
+        const microphoneCaptureOptions = configService.getMicrophoneCaptureOptions();
+        if (publishDefaults.forceStereo && microphoneCaptureOptions.channelCount < 2) {
+            errors.push('"livekit.publishDefaults.forceStereo" needs "microphoneProcessing.channelCount" set to 2');
+        }
+
+        const roomOptions = {
+            ...room,
+            publishDefaults,
+            audioCaptureDefaults: {
+                ...capture,
+                ...microphoneCaptureOptions
+            }
+        };
+
+        // LiveKit resumes dropped connections on its own; features.autoReconnect turns that off too
+        if (!configService.isFeatureEnabled('autoReconnect')) {
+            roomOptions.reconnectPolicy = { nextRetryDelayInMs: () => null };
+        }
+
+        const connectOptions = {
+            ...connect,
+            peerConnectionTimeout: connect.peerConnectionTimeout !== undefined ? connect.peerConnectionTimeout : connectionTimeout,
+            websocketTimeout: connect.websocketTimeout !== undefined ? connect.websocketTimeout : connectionTimeout
+        };
+
+        if (errors.length > 0) {
+            console.warn('LiveKit configuration errors (offending options ignored):', errors);
+        }
+
+        return { roomOptions, connectOptions, audioCaptureOptions: capture, errors };
+    }
+
+    /**
+     * Validate every key of a nested section
+     * @param {string} path - Config path for messages
+     * @param {Object} values - Section values
+     * @param {Object} schema - Section schema
+     * @param {Array<string>} errors - Error accumulator
+     * @returns {Object} Valid values
+     */
+    static validateSection(path, values, schema, errors) {
+        const valid = {};
+
+        if (!values || typeof values !== 'object' || Array.isArray(values)) {
+            errors.push(`"${path}" must be an object`);
+            return valid;
+        }
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (path === 'livekit.audioCaptureDefaults' && MICROPHONE_PROCESSING_KEYS.includes(key)) {
+                errors.push(`"${path}.${key}" is not supported, use "microphoneProcessing.${key}" instead`);
+                return;
+            }
+            if (!schema[key]) {
+                errors.push(`Unknown option "${path}.${key}"`);
+                return;
+            }
+            LiveKitOptionsBuilder.validate(`${path}.${key}`, value, schema[key], errors, valid, key);
+        });
+
+        return valid;
+    }
+
+    /**
+     * Validate a single value and copy it to the target if valid
+     * @param {string} path - Config path for messages
+     * @param {any} value - Value to validate
+     * @param {string|Array<string>} type - Expected type or allowed values
+     * @param {Array<string>} errors - Error accumulator
+     * @param {Object} target - Object receiving valid values
+     * @param {string} key - Key in target
+     */
+    static validate(path, value, type, errors, target, key) {
+        if (Array.isArray(type)) {
+            if (!type.includes(value)) {
+                errors.push(`"${path}" must be one of: ${type.join(', ')}`);
+                return;
+            }
+        } else if (typeof value !== type || (type === 'number' && !Number.isFinite(value))) {
+            errors.push(`"${path}" must be a ${type}`);
+            return;
+        }
+
+        target[key] = value;
+    }
+}
+
+// Export for use in other modules
+window.LiveKitOptionsBuilder = LiveKitOptionsBuilder;
+window.LIVEKIT_OPTION_SCHEMA = LIVEKIT_OPTION_SCHEMA;
\ No newline at end of file
@@ -0,0 +1,64 @@
+/**
+ * Microphone processing for Robot Audio Recorder
+ * LiveKit track processor that runs the robot microphone through a Web Audio high-pass filter,
+ * removing motor rumble and handling noise below the speech band.
+ */
+class HighPassFilterProcessor {
+    /**
+     * @param {number} frequency - Cutoff frequency in Hz
+     */
+    constructor(frequency) {
+        this.name = 'high-pass-filter';
+        this.frequency = frequency;
+        this.processedTrack = undefined;
+        this.nodes = null;
+    }
+
+    /**
+     * Build the filter graph (called by LiveKit when the processor is attached)
+     * @param {Object} options - LiveKit processor options ({ track, audioContext })
+     */
+    async init({ track, audioContext }) {
+        const source = audioContext.createMediaStreamSource(new MediaStream([track]));
+        const filter = audioContext.createBiquadFilter();
+        filter.type = 'highpass';
+        filter.frequency.value = this.frequency;
+        filter.Q.value = Math.SQRT1_2; // Butterworth response, no resonance bump
+        const destination = audioContext.createMediaStreamDestination();
+
+        source.connect(filter);
+        filter.connect(destination);
+
+        this.nodes = { source, filter, destination };
+        this.processedTrack = destination.stream.getAudioTracks()[0];
+        console.log(`High-pass filter applied to microphone at ${this.frequency} Hz`);
+    }
+
+    /**
+     * Rebuild the graph for a new source track (e.g. after a device restart)
+     * @param {Object} options - LiveKit processor options
+     */
+    async restart(options) {
+        await this.destroy();
+        await this.init(options);
+    }
+
+    /**
+     * Release the filter graph
+     */
+    async destroy() {
+        if (!this.nodes) return;
+
+        this.nodes.source.disconnect();
+        this.nodes.filter.disconnect();
+        if (this.processedTrack) {
+            this.processedTrack.stop();
+        }
+
+        this.nodes = null;
+        this.processedTrack = undefined;
+    }
+}
+
+// Export for use in other modules
+window.HighPassFilterProcessor = HighPassFilterProcessor;
\ No newline at end of file
@@ -0,0 +1,126 @@
+/**
+ * Network monitor for Robot Audio Recorder
+ * Follows browser connectivity (navigator.onLine and the online/offline events) and
+ * Network Information API changes, e.g. a robot roaming to another Wi-Fi access point.
+ * navigator.onLine only means "has a network interface", so coming online is a hint to retry,
+ * not a guarantee that the servers are reachable.
+ */
+
+class NetworkMonitor {
+    constructor() {
+        this.online = navigator.onLine !== false;
+        // Network Information API (Chromium only)
+        this.connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+        this.network = this.getNetworkKey();
+        this.listeners = new Set();
+
+        this.handleOnline = this.handleOnline.bind(this);
+        this.handleOffline = this.handleOffline.bind(this);
+        this.handleConnectionChange = this.handleConnectionChange.bind(this);
+    }
+
+    /**
+     * Start listening for connectivity events
+     */
+    start() {
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('offline', this.handleOffline);
+        if (this.connection) {
+            this.connection.addEventListener('change', this.handleConnectionChange);
+        }
+        console.log('Network monitor started:', this.getInfo());
+    }
+
+    /**
+     * Stop listening for connectivity events
+     */
+    stop() {
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('offline', this.handleOffline);
+        if (this.connection) {
+            this.connection.removeEventListener('change', this.handleConnectionChange);
+        }
+    }
+
+    /**
+     * Register a change listener
+     * @param {Function} listener - Callback receiving { type: 'online'|'offline'|'change', online, networkType, effectiveType, downlink, rtt }
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * @returns {boolean} True unless the browser reports being offline
+     */
+    isOnline() {
+        return this.online;
+    }
+
+    /**
+     * @returns {Object} { online, networkType, effectiveType, downlink, rtt } (null where the browser does not tell)
+     */
+    getInfo() {
+        const connection = this.connection || {};
+        return {
+            online: this.online,
+            networkType: connection.type || null,
+            effectiveType: connection.effectiveType || null,
+            downlink: connection.downlink !== undefined ? connection.downlink : null,
+            rtt: connection.rtt !== undefined ? connection.rtt : null
+        };
+    }
+
+    /**
+     * Browser regained a network connection
+     */
+    handleOnline() {
+        this.online = true;
+        this.notify('online');
+    }
+
+    /**
+     * Browser lost its network connection
+     */
+    handleOffline() {
+        this.online = false;
+        this.notify('offline');
+    }
+
+    /**
+     * Report a network change; bandwidth and RTT estimates alone change too often to act on
+     */
+    handleConnectionChange() {
+        const network = this.getNetworkKey();
+        if (network === this.network) return;
+
+        this.network = network;
+        this.notify('change');
+    }
+
+    /**
+     * @returns {string} Connection type and effective type, e.g. "wifi/4g"
+     */
+    getNetworkKey() {
+        return this.connection ? `${this.connection.type || 'unknown'}/${this.connection.effectiveType || 'unknown'}` : '';
+    }
+
+    /**
+     * @param {string} type - 'online', 'offline' or 'change'
+     */
+    notify(type) {
+        const change = { type, ...this.getInfo() };
+        console.log(`Network ${type}:`, change);
+
+        this.listeners.forEach((listener) => {
+            try {
+                listener(change);
+            } catch (error) {
+                console.error('Error in network change listener:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.NetworkMonitor = NetworkMonitor;
\ No newline at end of file
@@ -2,24 +2,212 @@
  * OpenVidu v3 Service for Robot Audio Recorder
  * Simplified service for OpenVidu v3 (LiveKit) token-based API
  */
+
+/**
+ * Retry delay after a failed proactive token refresh
+ */
+const TOKEN_REFRESH_RETRY_DELAY = 30000;
+
+/**
+ * Longest delay setTimeout supports
+ */
+const MAX_TIMER_DELAY = 2147483647;
+
 class OpenViduV3Service {
-    constructor(configService) {
+    /**
+     * @param {ConfigService} configService - Configuration service
+     * @param {Object} options - { shouldRefresh: () => boolean, checked before each proactive token refresh }
+     */
+    constructor(configService, { shouldRefresh = null } = {}) {
         this.configService = configService;
-        this.baseUrl = this.configService.getServerEndpoint();
+        this.shouldRefresh = shouldRefresh;
+
+        // Application servers to fail over between; baseUrl follows the selected one
+        this.servers = this.configService.getServers();
+        this.currentServer = null;
+        this.failedServers = new Set(); // endpoints that failed since the last successful connection
+        this.baseUrl = this.servers[0].endpoint;
+
+        // Tokens are reused across reconnects until they are close to expiry
+        this.tokenCache = new Map(); // `${roomName}/${participantName}` -> { token, livekitUrl, issuedAt, expiresAt, refreshTimer }
+        this.tokenRequests = new Map(); // same key -> pending request promise
+        this.httpClient = new HttpClient(configService);
         
         console.log('OpenViduV3Service initialized with baseUrl:', this.baseUrl);
     }
 
     /**
-     * Get a token from the OpenVidu v3 API server
+     * Get a token for a room, reusing a cached one that is not close to expiry
      * @param {string} roomName - Room name to join
      * @param {string} participantName - Participant name
      * @returns {Promise<Object>} Token and LiveKit URL
      */
     async getToken(roomName, participantName) {
+        const key = this.getTokenKey(roomName, participantName);
+        const cached = this.tokenCache.get(key);
+
+        if (cached && !this.isTokenExpiring(cached)) {
+            console.log(`Using cached token (expires in ${Math.round((cached.expiresAt - Date.now()) / 1000)}s)`);
+            return { token: cached.token, livekitUrl: cached.livekitUrl };
+        }
+
+        for (;;) {
+            if (!this.currentServer) {
+                await this.selectServer();
+            }
+
+            try {
+                const entry = await this.refreshToken(roomName, participantName);
+                return { token: entry.token, livekitUrl: entry.livekitUrl };
+            } catch (error) {
+                // Other servers would reject the same credentials, and cancelled joins must stop
+                const cancelled = error instanceof HttpRequestError && error.cancelled;
+                if (error instanceof AuthError || cancelled || !this.failover(error)) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Pick the application server for the next connection.
+     * With several servers, the first candidate answering its health check wins; if none answers,
+     * the first candidate is used anyway and the token request decides.
+     * @returns {Promise<Object>} Selected server
+     */
+    async selectServer() {
+        const candidates = this.getServerCandidates();
+        const { healthCheck, healthCheckTimeout } = this.configService.getServerSelectionConfig();
+
+        if (candidates.length > 1 && healthCheck) {
+            for (const server of candidates) {
+                try {
+                    await this.checkServerStatus(server.endpoint, { timeout: healthCheckTimeout, retries: 0 });
+                    return this.setServer(server);
+                } catch (error) {
+                    if (error instanceof HttpRequestError && error.cancelled) {
+                        throw error;
+                    }
+                    console.warn(`Server "${server.name}" failed its health check:`, error.message);
+                }
+            }
+            console.warn('No application server passed its health check, trying them in order');
+        }
+
+        return this.setServer(candidates[0]);
+    }
+
+    /**
+     * Order the servers that have not failed yet according to serverSelection.strategy
+     * @returns {Array<Object>} Candidate servers
+     */
+    getServerCandidates() {
+        const available = this.servers.filter((server) => !this.failedServers.has(server.endpoint));
+        const candidates = available.length > 0 ? available : this.servers;
+
+        if (this.configService.getServerSelectionConfig().strategy !== 'weighted') {
+            return candidates.slice();
+        }
+
+        // Weighted random order; weight 0 servers are only used when everything else failed
+        const remaining = candidates.slice();
+        const ordered = [];
+        while (remaining.length > 0) {
+            const total = remaining.reduce((sum, server) => sum + server.weight, 0);
+            let pick = Math.random() * total;
+            const index = remaining.findIndex((server) => {
+                pick -= server.weight;
+                return pick < 0;
+            });
+            ordered.push(remaining.splice(Math.max(index, 0), 1)[0]);
+        }
+        return ordered;
+    }
+
+    /**
+     * Switch to a server (cached tokens of a different server are dropped)
+     * @param {Object} server - Server from ConfigService.getServers
+     * @returns {Object} The server
+     */
+    setServer(server) {
+        if (this.baseUrl !== server.endpoint) {
+            this.clearTokens();
+        }
+        if (this.currentServer !== server) {
+            console.log(`Using application server "${server.name}":`, server.endpoint);
+        }
+
+        this.currentServer = server;
+        this.baseUrl = server.endpoint;
+        return server;
+    }
+
+    /**
+     * Mark the current server as failed and move on to the next one
+     * @param {Error} error - Failure that caused the switch
+     * @returns {boolean} True if another server is left to try; false once all failed (the next join starts over)
+     */
+    failover(error) {
+        if (this.currentServer) {
+            this.failedServers.add(this.currentServer.endpoint);
+        }
+        this.currentServer = null;
+
+        const remaining = this.servers.filter((server) => !this.failedServers.has(server.endpoint));
+        if (remaining.length === 0) {
+            this.failedServers.clear();
+            return false;
+        }
+
+        console.warn(`Application server failed (${error.message}), failing over to the next server`);
+        this.clearTokens();
+        return true;
+    }
+
+    /**
+     * Record a successful connection through the current server
+     */
+    reportConnected() {
+        this.failedServers.clear();
+    }
+
+    /**
+     * Get the server the robot is currently using
+     * @returns {Object|null} { name, endpoint, livekitUrl, weight } or null before the first join
+     */
+    getCurrentServer() {
+        return this.currentServer ? { ...this.currentServer } : null;
+    }
+
+    /**
+     * Fetch a new token and cache it, sharing one request between concurrent callers
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     * @returns {Promise<Object>} Cache entry
+     */
+    refreshToken(roomName, participantName) {
+        const key = this.getTokenKey(roomName, participantName);
+
+        if (!this.tokenRequests.has(key)) {
+            const request = this.requestToken(roomName, participantName)
+                .then(({ token, livekitUrl }) => this.cacheToken(key, roomName, participantName, token, livekitUrl))
+                .finally(() => this.tokenRequests.delete(key));
+            this.tokenRequests.set(key, request);
+        }
+
+        return this.tokenRequests.get(key);
+    }
+
+    /**
+     * Request a token from the OpenVidu v3 API server
+     * @param {string} roomName - Room name to join
+     * @param {string} participantName - Participant name
+     * @returns {Promise<Object>} Token and LiveKit URL
+     */
+    async requestToken(roomName, participantName) {
+        const url = `${this.baseUrl}${this.configService.getApiConfig().token}`;
+
         try {
-            const apiConfig = this.configService.getApiConfig();
-            const url = `${this.baseUrl}${apiConfig.token}`;
             const data = { 
                 roomName: roomName,
                 participantName: participantName
@@ -27,70 +215,273 @@ class OpenViduV3Service {
 
             console.log('Requesting token:', { url, data });
 
-            const response = await fetch(url, {
+            const body = JSON.stringify(data);
+
+            const response = await this.httpClient.request(url, {
                 method: 'POST',
-                headers: {
+                // Built per attempt, so HMAC timestamps stay fresh across retries
+                headers: async () => ({
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(data),
+                    'Accept': 'application/json',
+                    ...await RequestAuth.getHeaders(this.configService, { method: 'POST', url, body })
+                }),
+                body,
                 mode: 'cors',
                 credentials: 'omit'
             });
 
+            this.checkAuthResponse(response);
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
+                throw AppError.fromResponse(response);
             }
 
-            const result = await response.json();
+            const result = await response.json().catch((error) => {
+                throw new AppError('tokenServer', `Invalid token response: ${error.message}`, { status: response.status, cause: error });
+            });
             
             if (!result.success) {
-                throw new Error(`Token generation failed: ${result.error || 'Unknown error'}`);
+                throw new AppError('tokenRequest', `Token generation failed: ${result.error || 'Unknown error'}`, { status: response.status });
             }
 
-            const { token, livekitUrl } = result.data;
+            const { token, livekitUrl } = result.data || {};
             
             if (!token || typeof token !== 'string') {
-                throw new Error(`Invalid token received: ${typeof token}`);
+                throw new AppError('tokenServer', `Invalid token received: ${typeof token}`, { status: response.status });
             }
 
             console.log('Token received successfully');
-            return { token, livekitUrl };
+
+            // A per-server LiveKit URL wins over the one from the token response
+            const server = this.currentServer;
+            return {
+                token,
+                livekitUrl: (server && server.livekitUrl) || livekitUrl || this.configService.getLiveKitUrl()
+            };
 
         } catch (error) {
             console.error('Error getting token:', error);
-            
-            // Check for specific CORS error
-            if (error.name === 'TypeError' && error.message.includes('Failed to fetch')) {
-                throw new Error(`CORS Error: Unable to connect to server. Please check if the server allows requests from this origin.`);
+
+            if (error instanceof HttpRequestError && error.cancelled) {
+                throw error;
             }
             
-            throw new Error(`Failed to get token: ${error.message}`);
+            throw AppError.from(error, { url });
+        }
+    }
+
+    /**
+     * Cache a token and schedule its proactive refresh
+     * @param {string} key - Cache key
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     * @param {string} token - LiveKit JWT
+     * @param {string} livekitUrl - LiveKit server URL
+     * @returns {Object} Cache entry
+     */
+    cacheToken(key, roomName, participantName, token, livekitUrl) {
+        this.clearRefreshTimer(this.tokenCache.get(key));
+
+        const claims = this.decodeToken(token);
+        const receivedAt = Date.now();
+        const entry = { token, livekitUrl, issuedAt: receivedAt, expiresAt: null, refreshMargin: 0, refreshTimer: null };
+
+        if (!claims || !Number.isFinite(claims.exp)) {
+            console.warn('Token has no expiry claim, it will not be cached');
+            this.tokenCache.delete(key);
+            return entry;
+        }
+
+        // Measure the lifetime against the server's issue time, so a robot with a wrong clock still refreshes on time
+        const issuedAt = Number.isFinite(claims.iat) ? claims.iat : claims.nbf;
+        const lifetime = Number.isFinite(issuedAt) ? (claims.exp - issuedAt) * 1000 : claims.exp * 1000 - receivedAt;
+        entry.expiresAt = receivedAt + lifetime;
+        // Short-lived tokens are refreshed halfway through instead of immediately
+        entry.refreshMargin = Math.min(this.getRefreshMargin(), lifetime / 2);
+
+        this.tokenCache.set(key, entry);
+        this.scheduleRefresh(key, roomName, participantName, entry);
+        console.log(`Token cached, valid for ${Math.round((entry.expiresAt - receivedAt) / 1000)}s`);
+        return entry;
+    }
+
+    /**
+     * Refresh a cached token shortly before it enters its refresh margin
+     * @param {string} key - Cache key
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     * @param {Object} entry - Cache entry
+     * @param {number} refreshAt - Explicit refresh time (defaults to the start of the refresh margin)
+     */
+    scheduleRefresh(key, roomName, participantName, entry, refreshAt) {
+        if (refreshAt === undefined) {
+            // Spread refreshes over part of the margin so a fleet with identical tokens does not refresh at once
+            const jitter = Math.random() * entry.refreshMargin / 2;
+            refreshAt = entry.expiresAt - entry.refreshMargin - jitter;
+        }
+
+        // setTimeout fires immediately for delays beyond ~24.8 days, so long-lived tokens wait in steps
+        const delay = Math.min(Math.max(0, refreshAt - Date.now()), MAX_TIMER_DELAY);
+
+        entry.refreshTimer = setTimeout(async () => {
+            entry.refreshTimer = null;
+            if (this.tokenCache.get(key) !== entry) return;
+
+            if (Date.now() < refreshAt) {
+                this.scheduleRefresh(key, roomName, participantName, entry, refreshAt);
+                return;
+            }
+
+            // Nobody needs the token now; the next join fetches a fresh one if it has expired by then
+            if (this.shouldRefresh && !this.shouldRefresh()) {
+                console.log('Skipping token refresh while not connecting or connected:', key);
+                return;
+            }
+
+            try {
+                console.log('Refreshing token before expiry:', key);
+                await this.refreshToken(roomName, participantName);
+            } catch (error) {
+                console.warn('Proactive token refresh failed:', error.message);
+                if (this.tokenCache.get(key) === entry && entry.expiresAt - Date.now() > TOKEN_REFRESH_RETRY_DELAY) {
+                    this.scheduleRefresh(key, roomName, participantName, entry, Date.now() + TOKEN_REFRESH_RETRY_DELAY);
+                }
+            }
+        }, delay);
+    }
+
+    /**
+     * Drop a cached token, e.g. after the LiveKit server rejected it
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     */
+    invalidateToken(roomName, participantName) {
+        const key = this.getTokenKey(roomName, participantName);
+        const entry = this.tokenCache.get(key);
+
+        if (entry) {
+            this.clearRefreshTimer(entry);
+            this.tokenCache.delete(key);
+            console.log('Cached token invalidated:', key);
+        }
+    }
+
+    /**
+     * Drop all cached tokens and stop their refresh timers
+     */
+    clearTokens() {
+        this.tokenCache.forEach((entry) => this.clearRefreshTimer(entry));
+        this.tokenCache.clear();
+    }
+
+    /**
+     * Get lifetime details of the cached token
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     * @returns {Object|null} { issuedAt, expiresAt, lifetime, remaining, expiring } (times in ms), or null if none is cached
+     */
+    getTokenInfo(roomName, participantName) {
+        const entry = this.tokenCache.get(this.getTokenKey(roomName, participantName));
+        if (!entry) return null;
+
+        return {
+            issuedAt: new Date(entry.issuedAt).toISOString(),
+            expiresAt: new Date(entry.expiresAt).toISOString(),
+            lifetime: entry.expiresAt - entry.issuedAt,
+            remaining: Math.max(0, entry.expiresAt - Date.now()),
+            expiring: this.isTokenExpiring(entry)
+        };
+    }
+
+    /**
+     * Check whether a token is inside the refresh margin
+     * @param {Object} entry - Cache entry
+     * @returns {boolean} True if it should not be used for a new connection
+     */
+    isTokenExpiring(entry) {
+        return entry.expiresAt - Date.now() <= entry.refreshMargin;
+    }
+
+    /**
+     * Check whether an error means the LiveKit server rejected the token
+     * @param {Error} error - Error from Room.connect
+     * @returns {boolean} True for authorization failures
+     */
+    isTokenRejected(error) {
+        if (!error) return false;
+
+        const notAllowed = LivekitClient.ConnectionErrorReason && error.reason === LivekitClient.ConnectionErrorReason.NotAllowed;
+        return notAllowed || error.status === 401 || error.status === 403;
+    }
+
+    /**
+     * Decode the claims of a JWT (without verifying it)
+     * @param {string} token - JWT
+     * @returns {Object|null} Claims, or null if the token cannot be decoded
+     */
+    decodeToken(token) {
+        try {
+            const payload = token.split('.')[1];
+            const base64 = payload.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(payload.length / 4) * 4, '=');
+            return JSON.parse(atob(base64));
+        } catch (error) {
+            console.warn('Unable to decode token:', error.message);
+            return null;
         }
     }
 
+    /**
+     * @returns {number} Time before expiry (ms) at which a token is refreshed
+     */
+    getRefreshMargin() {
+        const margin = this.configService.getApiConfig().tokenRefreshMargin;
+        return Number.isFinite(margin) ? margin : 60000;
+    }
+
+    /**
+     * @param {Object} entry - Cache entry
+     */
+    clearRefreshTimer(entry) {
+        if (entry && entry.refreshTimer) {
+            clearTimeout(entry.refreshTimer);
+            entry.refreshTimer = null;
+        }
+    }
+
+    /**
+     * @param {string} roomName - Room name
+     * @param {string} participantName - Participant name
+     * @returns {string} Cache key
+     */
+    getTokenKey(roomName, participantName) {
+        return `${roomName}/${participantName}`;
+    }
+
     /**
      * Check server health/status
+     * @param {string} endpoint - Server endpoint (defaults to the current server)
+     * @param {Object} requestOptions - HttpClient options, e.g. { timeout, retries }
      * @returns {Promise<Object>} Server status
      */
-    async checkServerStatus() {
-        try {
-            const apiConfig = this.configService.getApiConfig();
-            const url = `${this.baseUrl}${apiConfig.health}`;
+    async checkServerStatus(endpoint = this.baseUrl, requestOptions = {}) {
+        const url = `${endpoint}${this.configService.getApiConfig().health}`;
 
+        try {
             console.log('Checking server status:', url);
 
-            const response = await fetch(url, {
+            const response = await this.httpClient.request(url, {
                 method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                },
+                headers: async () => ({
+                    'Accept': 'application/json',
+                    ...await RequestAuth.getHeaders(this.configService, { method: 'GET', url })
+                }),
                 mode: 'cors',
-                credentials: 'omit'
+                credentials: 'omit',
+                ...requestOptions
             });
 
+            this.checkAuthResponse(response);
             if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}, statusText: ${response.statusText}`);
+                throw AppError.fromResponse(response);
             }
 
             const result = await response.json();
@@ -99,7 +490,28 @@ class OpenViduV3Service {
 
         } catch (error) {
             console.error('Error checking server status:', error);
-            throw new Error(`Failed to check server status: ${error.message}`);
+            if (error instanceof HttpRequestError && error.cancelled) {
+                throw error;
+            }
+            throw AppError.from(error, { url });
+        }
+    }
+
+    /**
+     * Abort in-flight token and health requests (including pending retries)
+     */
+    cancelRequests() {
+        this.httpClient.cancelAll();
+    }
+
+    /**
+     * Turn 401/403 responses into an AuthError
+     * @param {Response} response - Fetch response
+     */
+    checkAuthResponse(response) {
+        if (response.status === 401 || response.status === 403) {
+            const authType = this.configService.getAuthConfig().type;
+            throw new AuthError(`Application server rejected the ${authType === 'none' ? 'anonymous' : authType} credentials (HTTP ${response.status})`, response.status);
         }
     }
 
@@ -119,35 +531,6 @@ class OpenViduV3Service {
     getBaseUrl() {
         return this.baseUrl;
     }
-
-    /**
-     * Handle network errors with retry logic
-     * @param {Function} operation - The operation to retry
-     * @param {number} maxRetries - Maximum number of retries
-     * @param {number} delay - Delay between retries in ms
-     * @returns {Promise<any>} Operation result
-     */
-    async retryOperation(operation, maxRetries = 3, delay = 1000) {
-        let lastError;
-
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                console.log(`Attempt ${attempt}/${maxRetries}`);
-                return await operation();
-            } catch (error) {
-                lastError = error;
-                console.warn(`Attempt ${attempt} failed:`, error.message);
-
-                if (attempt < maxRetries) {
-                    console.log(`Retrying in ${delay}ms...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                    delay *= 1.5; // Exponential backoff
-                }
-            }
-        }
-
-        throw lastError;
-    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,690 @@
+/**
+ * Recording Manager for Robot Audio Recorder (OpenVidu v3/LiveKit)
+ * Records the robot microphone and every subscribed remote track, per track and mixed down
+ */
+
+/**
+ * Supported recording formats (container/codec)
+ */
+const RECORDING_FORMATS = {
+    'webm-opus': { mimeType: 'audio/webm;codecs=opus', extension: 'webm', encoder: 'media-recorder' },
+    'ogg-opus': { mimeType: 'audio/ogg;codecs=opus', extension: 'ogg', encoder: 'media-recorder' },
+    'wav': { mimeType: 'audio/wav', extension: 'wav', encoder: 'wav' }
+};
+
+/**
+ * Encoder backed by the browser MediaRecorder (WebM/Opus, Ogg/Opus)
+ */
+class MediaRecorderEncoder {
+    constructor(stream, options) {
+        this.stream = stream;
+        this.options = options;
+        this.chunks = [];
+        this.recorder = null;
+    }
+
+    start() {
+        this.recorder = new MediaRecorder(this.stream, {
+            mimeType: this.options.mimeType,
+            audioBitsPerSecond: this.options.audioBitsPerSecond
+        });
+        this.recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.chunks.push(event.data);
+            }
+        };
+        this.recorder.start(this.options.timeslice);
+    }
+
+    pause() {
+        if (this.recorder && this.recorder.state === 'recording') {
+            this.recorder.pause();
+        }
+    }
+
+    resume() {
+        if (this.recorder && this.recorder.state === 'paused') {
+            this.recorder.resume();
+        }
+    }
+
+    /**
+     * Stop recording and collect the encoded data
+     * @returns {Promise<Blob>} Encoded recording
+     */
+    stop() {
+        return new Promise((resolve) => {
+            const finish = () => resolve(new Blob(this.chunks, { type: this.options.mimeType }));
+
+            if (!this.recorder || this.recorder.state === 'inactive') {
+                finish();
+                return;
+            }
+
+            this.recorder.onstop = finish;
+            this.recorder.stop();
+        });
+    }
+}
+
+/**
+ * Encoder that captures raw PCM through Web Audio and writes a 16-bit WAV file
+ */
+class WavEncoder {
+    constructor(audioContext, inputNode, options) {
+        this.audioContext = audioContext;
+        this.inputNode = inputNode;
+        this.channelCount = options.channelCount || 1;
+        this.buffers = [];
+        this.length = 0;
+        this.isPaused = false;
+        this.processor = null;
+    }
+
+    start() {
+        // ScriptProcessorNode keeps this encoder self-contained (no worklet module to load)
+        this.processor = this.audioContext.createScriptProcessor(4096, this.channelCount, this.channelCount);
+        this.processor.onaudioprocess = (event) => {
+            if (this.isPaused) return;
+
+            const channels = [];
+            for (let channel = 0; channel < this.channelCount; channel++) {
+                channels.push(new Float32Array(event.inputBuffer.getChannelData(channel)));
+            }
+            this.buffers.push(channels);
+            this.length += event.inputBuffer.length;
+        };
+
+        this.inputNode.connect(this.processor);
+        // The processor only runs while connected to the destination; its output is silent
+        this.processor.connect(this.audioContext.destination);
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    /**
+     * Stop capturing and encode the collected samples
+     * @returns {Promise<Blob>} WAV file
+     */
+    async stop() {
+        if (this.processor) {
+            try {
+                this.inputNode.disconnect(this.processor);
+            } catch (error) {
+                // Input may already be disconnected when its track ended
+            }
+            this.processor.disconnect();
+            this.processor.onaudioprocess = null;
+            this.processor = null;
+        }
+
+        return this.encode();
+    }
+
+    /**
+     * Encode collected Float32 samples as interleaved 16-bit PCM WAV
+     * @returns {Blob} WAV file
+     */
+    encode() {
+        const sampleRate = this.audioContext.sampleRate;
+        const bytesPerSample = 2;
+        const blockAlign = this.channelCount * bytesPerSample;
+        const dataSize = this.length * blockAlign;
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+
+        const writeString = (offset, value) => {
+            for (let i = 0; i < value.length; i++) {
+                view.setUint8(offset + i, value.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, this.channelCount, true);
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, bytesPerSample * 8, true);
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        let offset = 44;
+        this.buffers.forEach((channels) => {
+            const frames = channels[0].length;
+            for (let frame = 0; frame < frames; frame++) {
+                for (let channel = 0; channel < this.channelCount; channel++) {
+                    const sample = Math.max(-1, Math.min(1, channels[channel][frame]));
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+                    offset += bytesPerSample;
+                }
+            }
+        });
+
+        this.buffers = [];
+        return new Blob([view], { type: 'audio/wav' });
+    }
+}
+
+class RecordingManager {
+    constructor(configService) {
+        this.configService = configService;
+
+        // Sources that can be recorded: sourceId -> { track, label, kind }
+        this.sources = new Map();
+
+        // Active per-track recorders: sourceId -> recorder info
+        this.trackRecorders = new Map();
+
+        // Mixed-down recorder (one per session)
+        this.mixRecorder = null;
+
+        // Finished recordings
+        this.recordings = [];
+
+        this.state = 'inactive'; // inactive | recording | paused
+        this.session = null;
+        this.listeners = new Set();
+        this.completeListeners = new Set();
+
+        console.log('RecordingManager initialized');
+    }
+
+    /**
+     * Check whether a recording format can be produced by this browser
+     * @param {string} format - Format key (webm-opus, ogg-opus, wav)
+     * @returns {boolean} True if supported
+     */
+    static isFormatSupported(format) {
+        const definition = RECORDING_FORMATS[format];
+        if (!definition) return false;
+
+        if (definition.encoder === 'wav') {
+            return !!(window.AudioContext || window.webkitAudioContext);
+        }
+
+        return typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(definition.mimeType);
+    }
+
+    /**
+     * Register a listener notified whenever recording state or the recordings list changes
+     * @param {Function} listener - Callback receiving the manager
+     */
+    onUpdate(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Register a listener notified with each finished recording
+     * @param {Function} listener - Callback receiving the recording entry
+     */
+    onRecordingComplete(listener) {
+        this.completeListeners.add(listener);
+    }
+
+    /**
+     * Notify listeners of a change
+     */
+    notify() {
+        this.listeners.forEach((listener) => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Recording listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Register a track that should be recorded (records immediately if a session is running)
+     * @param {string} sourceId - Unique source ID
+     * @param {MediaStreamTrack} mediaStreamTrack - Audio track to record
+     * @param {string} label - Human readable label used in file names
+     * @param {string} kind - 'local' or 'remote'
+     */
+    addSource(sourceId, mediaStreamTrack, label, kind = 'remote') {
+        if (!mediaStreamTrack) {
+            console.warn('Cannot record source without a MediaStreamTrack:', sourceId);
+            return;
+        }
+
+        // Replacing a source (e.g. microphone device switch) finalizes the old segment first
+        if (this.sources.has(sourceId)) {
+            this.removeSource(sourceId);
+        }
+
+        this.sources.set(sourceId, { track: mediaStreamTrack, label, kind });
+        console.log('Recording source added:', { sourceId, label, kind });
+
+        if (this.state !== 'inactive') {
+            this.attachSource(sourceId);
+        }
+    }
+
+    /**
+     * Unregister a track, finalizing its per-track recording if one is running
+     * @param {string} sourceId - Source ID
+     */
+    removeSource(sourceId) {
+        if (!this.sources.has(sourceId)) return;
+
+        this.detachSource(sourceId);
+        this.sources.delete(sourceId);
+        console.log('Recording source removed:', sourceId);
+    }
+
+    /**
+     * Unregister every source (e.g. when the room is left); the session itself keeps running
+     */
+    clearSources() {
+        Array.from(this.sources.keys()).forEach((sourceId) => this.removeSource(sourceId));
+    }
+
+    /**
+     * Start a recording session
+     * @returns {Promise<boolean>} True if recording started
+     */
+    async start() {
+        if (this.state !== 'inactive') {
+            console.warn('Recording already in progress');
+            return false;
+        }
+
+        const settings = this.configService.getRecordingConfig();
+        if (!RecordingManager.isFormatSupported(settings.format)) {
+            throw new Error(`Recording format not supported by this browser: ${settings.format}`);
+        }
+
+        const needsAudioContext = settings.mode !== 'per-track' || RECORDING_FORMATS[settings.format].encoder === 'wav';
+        const audioContext = needsAudioContext ? await SharedAudioContext.resume() : null;
+        if (needsAudioContext && !audioContext) {
+            throw new Error('Web Audio API is required for this recording mode');
+        }
+
+        this.session = {
+            id: new Date().toISOString().replace(/[:.]/g, '-'),
+            startedAt: Date.now(),
+            pausedAt: null,
+            pausedDuration: 0,
+            settings,
+            audioContext
+        };
+        this.state = 'recording';
+
+        if (settings.mode !== 'per-track') {
+            this.startMixRecorder();
+        }
+
+        this.sources.forEach((source, sourceId) => this.attachSource(sourceId));
+
+        console.log('Recording started:', this.session.id, settings);
+        this.notify();
+        return true;
+    }
+
+    /**
+     * Pause all running recorders
+     */
+    pause() {
+        if (this.state !== 'recording') return;
+
+        this.forEachEncoder((encoder) => encoder.pause());
+        this.session.pausedAt = Date.now();
+        this.state = 'paused';
+
+        console.log('Recording paused');
+        this.notify();
+    }
+
+    /**
+     * Resume all paused recorders
+     */
+    resume() {
+        if (this.state !== 'paused') return;
+
+        this.forEachEncoder((encoder) => encoder.resume());
+        this.session.pausedDuration += Date.now() - this.session.pausedAt;
+        this.session.pausedAt = null;
+        this.state = 'recording';
+
+        console.log('Recording resumed');
+        this.notify();
+    }
+
+    /**
+     * Stop the session and finalize every recording
+     * @returns {Promise<Array>} Recordings produced by this session
+     */
+    async stop() {
+        if (this.state === 'inactive') return [];
+
+        if (this.state === 'paused') {
+            this.session.pausedDuration += Date.now() - this.session.pausedAt;
+            this.session.pausedAt = null;
+        }
+
+        const pending = Array.from(this.trackRecorders.keys()).map((sourceId) => this.finalizeTrackRecorder(sourceId));
+        pending.push(this.finalizeMixRecorder());
+
+        const results = (await Promise.all(pending)).filter(Boolean);
+
+        console.log(`Recording stopped, ${results.length} file(s) produced`);
+        this.state = 'inactive';
+        this.session = null;
+        this.notify();
+        return results;
+    }
+
+    /**
+     * Get recording state information
+     * @returns {Object} State, elapsed time and counts
+     */
+    getStatus() {
+        let elapsed = 0;
+        if (this.session) {
+            const now = this.session.pausedAt || Date.now();
+            elapsed = now - this.session.startedAt - this.session.pausedDuration;
+        }
+
+        return {
+            state: this.state,
+            elapsed,
+            sourceCount: this.sources.size,
+            activeTracks: this.trackRecorders.size,
+            recordingCount: this.recordings.length
+        };
+    }
+
+    /**
+     * Get finished recordings
+     * @returns {Array} Recordings (newest first)
+     */
+    getRecordings() {
+        return this.recordings.slice().reverse();
+    }
+
+    /**
+     * Trigger a browser download of a recording
+     * @param {string} recordingId - Recording ID
+     */
+    download(recordingId) {
+        const recording = this.recordings.find((item) => item.id === recordingId);
+        if (!recording) {
+            console.warn('Recording not found for download:', recordingId);
+            return;
+        }
+
+        const url = URL.createObjectURL(recording.blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = recording.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser time to start the download before revoking
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Remove a single recording
+     * @param {string} recordingId - Recording ID
+     */
+    deleteRecording(recordingId) {
+        this.recordings = this.recordings.filter((item) => item.id !== recordingId);
+        this.notify();
+    }
+
+    /**
+     * Remove all finished recordings
+     */
+    clearRecordings() {
+        console.log(`Clearing ${this.recordings.length} recording(s)`);
+        this.recordings = [];
+        this.notify();
+    }
+
+    /**
+     * Start recording a single source into the running session
+     * @param {string} sourceId - Source ID
+     */
+    attachSource(sourceId) {
+        const source = this.sources.get(sourceId);
+        const { settings, audioContext } = this.session;
+
+        if (this.mixRecorder) {
+            try {
+                const node = audioContext.createMediaStreamSource(new MediaStream([source.track]));
+                node.connect(this.mixRecorder.bus);
+                this.mixRecorder.inputs.set(sourceId, node);
+            } catch (error) {
+                console.error('Failed to add source to mix:', sourceId, error);
+            }
+        }
+
+        if (settings.mode !== 'mixed' && !this.trackRecorders.has(sourceId)) {
+            try {
+                const encoder = this.createTrackEncoder(source.track);
+                encoder.start();
+                if (this.state === 'paused') {
+                    encoder.pause();
+                }
+
+                this.trackRecorders.set(sourceId, {
+                    encoder,
+                    label: source.label,
+                    kind: source.kind,
+                    startedAt: Date.now(),
+                    pausedBefore: this.getPausedTime(this.session)
+                });
+                console.log('Per-track recording started:', sourceId);
+            } catch (error) {
+                console.error('Failed to start per-track recording:', sourceId, error);
+            }
+        }
+    }
+
+    /**
+     * Stop recording a single source (per-track file is finalized, mix input is disconnected)
+     * @param {string} sourceId - Source ID
+     */
+    detachSource(sourceId) {
+        if (this.mixRecorder && this.mixRecorder.inputs.has(sourceId)) {
+            this.mixRecorder.inputs.get(sourceId).disconnect();
+            this.mixRecorder.inputs.delete(sourceId);
+        }
+
+        if (this.trackRecorders.has(sourceId)) {
+            this.finalizeTrackRecorder(sourceId).then(() => this.notify());
+        }
+    }
+
+    /**
+     * Create an encoder for a single track according to the session format
+     * @param {MediaStreamTrack} mediaStreamTrack - Track to encode
+     * @returns {MediaRecorderEncoder|WavEncoder} Encoder
+     */
+    createTrackEncoder(mediaStreamTrack) {
+        const { settings, audioContext } = this.session;
+        const format = RECORDING_FORMATS[settings.format];
+        const stream = new MediaStream([mediaStreamTrack]);
+
+        if (format.encoder === 'wav') {
+            const node = audioContext.createMediaStreamSource(stream);
+            return new WavEncoder(audioContext, node, settings);
+        }
+
+        return new MediaRecorderEncoder(stream, {
+            mimeType: format.mimeType,
+            audioBitsPerSecond: settings.audioBitsPerSecond,
+            timeslice: settings.timeslice
+        });
+    }
+
+    /**
+     * Create the mix bus and its encoder
+     */
+    startMixRecorder() {
+        const { settings, audioContext } = this.session;
+        const format = RECORDING_FORMATS[settings.format];
+        const bus = audioContext.createGain();
+        let encoder;
+
+        if (format.encoder === 'wav') {
+            encoder = new WavEncoder(audioContext, bus, settings);
+        } else {
+            const destination = audioContext.createMediaStreamDestination();
+            bus.connect(destination);
+            encoder = new MediaRecorderEncoder(destination.stream, {
+                mimeType: format.mimeType,
+                audioBitsPerSecond: settings.audioBitsPerSecond,
+                timeslice: settings.timeslice
+            });
+        }
+
+        encoder.start();
+        this.mixRecorder = { bus, encoder, inputs: new Map(), startedAt: Date.now(), pausedBefore: this.getPausedTime(this.session) };
+        console.log('Mixed recording started');
+    }
+
+    /**
+     * Finalize a per-track recorder
+     * @param {string} sourceId - Source ID
+     * @returns {Promise<Object|null>} Recording entry
+     */
+    async finalizeTrackRecorder(sourceId) {
+        const recorder = this.trackRecorders.get(sourceId);
+        if (!recorder) return null;
+        this.trackRecorders.delete(sourceId);
+        const session = this.session;
+        const duration = this.getRecordedTime(recorder, session);
+
+        try {
+            const blob = await recorder.encoder.stop();
+            return this.addRecording(blob, {
+                type: 'track',
+                label: recorder.label,
+                source: recorder.kind,
+                duration
+            }, session);
+        } catch (error) {
+            console.error('Failed to finalize per-track recording:', sourceId, error);
+            return null;
+        }
+    }
+
+    /**
+     * Finalize the mixed-down recorder
+     * @returns {Promise<Object|null>} Recording entry
+     */
+    async finalizeMixRecorder() {
+        const recorder = this.mixRecorder;
+        if (!recorder) return null;
+        this.mixRecorder = null;
+        const session = this.session;
+        const duration = this.getRecordedTime(recorder, session);
+
+        recorder.inputs.forEach((node) => node.disconnect());
+
+        try {
+            const blob = await recorder.encoder.stop();
+            recorder.bus.disconnect();
+            return this.addRecording(blob, {
+                type: 'mix',
+                label: 'mix',
+                source: 'mix',
+                duration
+            }, session);
+        } catch (error) {
+            console.error('Failed to finalize mixed recording:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Total time the session has spent paused so far
+     * @param {Object} session - Recording session
+     * @returns {number} Paused time in ms
+     */
+    getPausedTime(session) {
+        return session.pausedDuration + (session.pausedAt ? Date.now() - session.pausedAt : 0);
+    }
+
+    /**
+     * Time a recorder has actually recorded, excluding pauses
+     * @param {Object} recorder - Track or mix recorder ({ startedAt, pausedBefore })
+     * @param {Object} session - Session the recorder belongs to
+     * @returns {number} Duration in ms
+     */
+    getRecordedTime(recorder, session) {
+        return Date.now() - recorder.startedAt - (this.getPausedTime(session) - recorder.pausedBefore);
+    }
+
+    /**
+     * Store a finished recording
+     * @param {Blob} blob - Encoded data
+     * @param {Object} details - Recording details
+     * @param {Object} session - Session the recording belongs to
+     * @returns {Object|null} Recording entry
+     */
+    addRecording(blob, details, session) {
+        if (!blob || blob.size === 0) {
+            console.warn('Discarding empty recording:', details.label);
+            return null;
+        }
+
+        const format = RECORDING_FORMATS[session.settings.format];
+        const safeLabel = details.label.replace(/[^a-zA-Z0-9_-]/g, '_');
+        const fileName = `${this.configService.getRobotId()}_${session.id}_${safeLabel}.${format.extension}`;
+
+        const recording = {
+            id: `${session.id}_${safeLabel}_${Date.now().toString(36)}`,
+            fileName,
+            blob,
+            size: blob.size,
+            mimeType: blob.type,
+            type: details.type,
+            source: details.source,
+            label: details.label,
+            duration: details.duration,
+            createdAt: new Date().toISOString()
+        };
+
+        this.recordings.push(recording);
+        console.log('Recording finalized:', { fileName, size: blob.size });
+
+        this.completeListeners.forEach((listener) => {
+            try {
+                listener(recording);
+            } catch (error) {
+                console.error('Recording complete listener error:', error);
+            }
+        });
+        return recording;
+    }
+
+    /**
+     * Run a callback for every active encoder
+     * @param {Function} callback - Receives each encoder
+     */
+    forEachEncoder(callback) {
+        this.trackRecorders.forEach((recorder) => callback(recorder.encoder));
+        if (this.mixRecorder) {
+            callback(this.mixRecorder.encoder);
+        }
+    }
+}
+
+// Export for use in other modules
+window.RecordingManager = RecordingManager;
+window.RECORDING_FORMATS = RECORDING_FORMATS;
\ No newline at end of file
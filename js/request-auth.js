@@ -0,0 +1,147 @@
+/**
+ * Request authentication for Robot Audio Recorder
+ * Adds credentials from the `auth` config section to application server requests.
+ *
+ * auth.type:
+ *   none   - anonymous requests
+ *   bearer - Authorization: Bearer <auth.token>
+ *   apiKey - <auth.apiKeyHeader>: <auth.apiKey> plus X-Robot-Id, for per-robot keys
+ *   hmac   - X-Robot-Id, X-Timestamp (unix seconds) and
+ *            X-Signature: hex HMAC-SHA256(auth.secret, "<timestamp>\n<METHOD>\n<path>\n<body>")
+ * Further schemes can be added with RequestAuth.register.
+ */
+
+/**
+ * Thrown when credentials are missing or the server rejects them (HTTP 401/403)
+ */
+class AuthError extends AppError {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status (0 when the request was not sent)
+     */
+    constructor(message, status = 0) {
+        super('auth', message, { status });
+        this.name = 'AuthError';
+    }
+}
+
+/**
+ * Auth providers by auth.type; each returns the headers for a request
+ */
+const AUTH_PROVIDERS = {
+    none: async () => ({}),
+
+    bearer: async (auth) => {
+        if (!auth.token) {
+            throw new AuthError('auth.type is "bearer" but auth.token is not set');
+        }
+        return { 'Authorization': `Bearer ${auth.token}` };
+    },
+
+    apiKey: async (auth, request) => {
+        if (!auth.apiKey) {
+            throw new AuthError('auth.type is "apiKey" but auth.apiKey is not set');
+        }
+        return {
+            [auth.apiKeyHeader]: auth.apiKey,
+            'X-Robot-Id': request.robotId
+        };
+    },
+
+    hmac: async (auth, request) => {
+        if (!auth.secret) {
+            throw new AuthError('auth.type is "hmac" but auth.secret is not set');
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const path = new URL(request.url, window.location.href).pathname;
+        const message = [timestamp, request.method.toUpperCase(), path, request.body || ''].join('\n');
+
+        return {
+            'X-Robot-Id': request.robotId,
+            'X-Timestamp': timestamp,
+            'X-Signature': await RequestAuth.hmacSha256(auth.secret, message)
+        };
+    }
+};
+
+class RequestAuth {
+    /**
+     * Add or replace an auth provider
+     * @param {string} type - Value of auth.type
+     * @param {Function} provider - async (auth, { method, url, body, robotId }) => headers
+     */
+    static register(type, provider) {
+        AUTH_PROVIDERS[type] = provider;
+    }
+
+    /**
+     * Build the auth headers for a request
+     * @param {ConfigService} configService - Configuration service
+     * @param {Object} request - { method, url, body }
+     * @returns {Promise<Object>} Headers to add
+     */
+    static async getHeaders(configService, request) {
+        const auth = configService.getAuthConfig();
+        const provider = AUTH_PROVIDERS[auth.type];
+
+        if (!provider) {
+            throw new AuthError(`Unknown auth.type "${auth.type}" (available: ${Object.keys(AUTH_PROVIDERS).join(', ')})`);
+        }
+
+        return provider(auth, { ...request, robotId: configService.getRobotId() });
+    }
+
+    /**
+     * Compute an HMAC-SHA256 signature
+     * @param {string} secret - Shared secret
+     * @param {string} message - Message to sign
+     * @returns {Promise<string>} Hex signature
+     */
+    static async hmacSha256(secret, message) {
+        const encoder = new TextEncoder();
+        const keyBytes = encoder.encode(secret);
+        const messageBytes = encoder.encode(message);
+
+        if (window.crypto && window.crypto.subtle) {
+            const key = await window.crypto.subtle.importKey('raw', keyBytes, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            const signature = await window.crypto.subtle.sign('HMAC', key, messageBytes);
+            return RequestAuth.toHex(new Uint8Array(signature));
+        }
+
+        // Robots served over plain http have no crypto.subtle; build the HMAC on the SHA-256 fallback
+        const blockSize = 64;
+        let block = keyBytes.length > blockSize ? RequestAuth.fromHex(sha256Fallback(keyBytes)) : keyBytes;
+        block = Uint8Array.from({ length: blockSize }, (_, i) => block[i] || 0);
+
+        const inner = new Uint8Array(blockSize + messageBytes.length);
+        inner.set(block.map((byte) => byte ^ 0x36));
+        inner.set(messageBytes, blockSize);
+
+        const outer = new Uint8Array(blockSize + 32);
+        outer.set(block.map((byte) => byte ^ 0x5c));
+        outer.set(RequestAuth.fromHex(sha256Fallback(inner)), blockSize);
+
+        return sha256Fallback(outer);
+    }
+
+    /**
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Hex string
+     */
+    static toHex(bytes) {
+        return Array.from(bytes).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * @param {string} hex - Hex string
+     * @returns {Uint8Array} Bytes
+     */
+    static fromHex(hex) {
+        return Uint8Array.from(hex.match(/../g), (pair) => parseInt(pair, 16));
+    }
+}
+
+// Export for use in other modules
+window.RequestAuth = RequestAuth;
+window.AuthError = AuthError;
\ No newline at end of file
@@ -0,0 +1,133 @@
+/**
+ * Room lifecycle controller for Robot Audio Recorder
+ * Serializes join, leave and retry so only one of them touches the room at a time.
+ * Operations run in call order; a join requested while another join is pending shares it, and
+ * a leave or retry cancels joins requested before it (aborting the one in progress) instead of
+ * waiting for them to connect first.
+ */
+
+class RoomLifecycle {
+    /**
+     * @param {Object} handlers - Room operations:
+     *   join  - async (isCancelled) => void; should stop when isCancelled() turns true
+     *   leave - async () => void
+     *   abort - () => void; interrupts the join in progress (cancel requests, abort the connect)
+     */
+    constructor(handlers) {
+        this.handlers = handlers;
+        this.queue = Promise.resolve();
+        this.generation = 0; // bumped by every leave and retry; joins from an older generation are cancelled
+        this.pendingJoin = null; // { generation, promise }
+        this.running = null;
+        this.joining = false;
+    }
+
+    /**
+     * Join the room (after any queued operation), sharing a join that is already pending
+     * @returns {Promise<void>}
+     */
+    join() {
+        if (!this.pendingJoin || this.pendingJoin.generation !== this.generation) {
+            const generation = this.generation;
+            const promise = this.enqueue('join', () => this.runJoin(generation));
+            this.pendingJoin = { generation, promise };
+            promise.finally(() => {
+                if (this.pendingJoin && this.pendingJoin.promise === promise) {
+                    this.pendingJoin = null;
+                }
+            }).catch(() => {});
+        }
+        return this.pendingJoin.promise;
+    }
+
+    /**
+     * Leave the room, cancelling pending joins
+     * @returns {Promise<void>}
+     */
+    leave() {
+        this.cancel();
+        return this.enqueue('leave', () => this.handlers.leave());
+    }
+
+    /**
+     * Leave and join again as one operation, cancelling pending joins
+     * @param {Function} prepare - Optional callback run between leaving and joining (e.g. to apply new settings)
+     * @returns {Promise<void>}
+     */
+    retry(prepare = null) {
+        this.cancel();
+        const generation = this.generation;
+
+        return this.enqueue('retry', async () => {
+            await this.handlers.leave();
+            if (prepare) {
+                await prepare();
+            }
+            await this.runJoin(generation);
+        });
+    }
+
+    /**
+     * Cancel joins requested so far and interrupt the one in progress
+     */
+    cancel() {
+        this.generation++;
+        this.pendingJoin = null;
+        if (this.joining) {
+            console.log('Aborting join in progress');
+            this.handlers.abort();
+        }
+    }
+
+    /**
+     * @param {number} generation - Generation the join was requested in
+     */
+    async runJoin(generation) {
+        const isCancelled = () => generation !== this.generation;
+        if (isCancelled()) {
+            console.log('Join skipped, a later leave or retry replaced it');
+            return;
+        }
+
+        this.joining = true;
+        try {
+            await this.handlers.join(isCancelled);
+        } finally {
+            this.joining = false;
+        }
+    }
+
+    /**
+     * Run an operation after all previously queued ones
+     * @param {string} name - Operation name (for logs)
+     * @param {Function} operation - async () => any
+     * @returns {Promise<any>} Operation result
+     */
+    enqueue(name, operation) {
+        const run = this.queue.then(async () => {
+            this.running = name;
+            console.log(`Room lifecycle: ${name}`);
+            try {
+                return await operation();
+            } finally {
+                this.running = null;
+            }
+        });
+
+        // A failed operation must not block the ones queued after it
+        this.queue = run.catch((error) => {
+            console.error(`Room ${name} failed:`, error);
+        });
+        return run;
+    }
+
+    /**
+     * @returns {Object} { running, joining } - running is the current operation name or null
+     */
+    getStatus() {
+        return { running: this.running, joining: this.joining };
+    }
+}
+
+// Export for use in other modules
+window.RoomLifecycle = RoomLifecycle;
\ No newline at end of file
@@ -0,0 +1,408 @@
+/**
+ * Settings Panel for Robot Audio Recorder
+ * PIN-protected editor for the ConfigService values field technicians adjust on site,
+ * with export and import of the full effective configuration as JSON.
+ * The PIN (settings.pin) only deters casual changes; the config files are served in plain text.
+ * Without a PIN the panel stays locked.
+ */
+
+/**
+ * Editable settings, grouped for display. Input types come from the config schema.
+ */
+const SETTINGS_FIELDS = [
+    { group: 'Connection', path: 'robotId', label: 'Robot ID' },
+    { group: 'Connection', path: 'server.endpoint', label: 'Server endpoint' },
+    { group: 'Connection', path: 'profile', label: 'Config profile' },
+    { group: 'Reconnect', path: 'features.autoReconnect', label: 'Reconnect automatically' },
+    { group: 'Reconnect', path: 'features.unlimitedReconnect', label: 'Retry forever' },
+    { group: 'Reconnect', path: 'maxConnectionAttempts', label: 'Max attempts' },
+    { group: 'Reconnect', path: 'reconnectDelay', label: 'Initial delay (ms)' },
+    { group: 'Reconnect', path: 'maxReconnectDelay', label: 'Max delay (ms)' },
+    { group: 'Reconnect', path: 'connectionTimeout', label: 'Connection timeout (ms)' },
+    { group: 'Microphone', path: 'microphoneProcessing.echoCancellation', label: 'Echo cancellation' },
+    { group: 'Microphone', path: 'microphoneProcessing.noiseSuppression', label: 'Noise suppression' },
+    { group: 'Microphone', path: 'microphoneProcessing.autoGainControl', label: 'Auto gain' },
+    { group: 'Microphone', path: 'microphoneProcessing.highPassFilter.enabled', label: 'High-pass filter' },
+    { group: 'Microphone', path: 'microphoneProcessing.highPassFilter.frequency', label: 'High-pass frequency (Hz)' },
+    { group: 'Output', path: 'outputProcessing.enabled', label: 'Compressor / limiter' },
+    { group: 'Output', path: 'outputProcessing.maxOutputLevel', label: 'Max output level (0-1)' },
+    { group: 'Display', path: 'ui.theme', label: 'Theme' }
+];
+
+/**
+ * Human-readable names of configuration layers
+ */
+const SETTINGS_LAYER_LABELS = {
+    defaults: 'default',
+    file: 'dashboard-config.json',
+    shared: 'profiles.json (shared)',
+    local: 'saved on this robot',
+    global: 'launcher (window.__ROBOT_CONFIG__)',
+    url: 'URL parameter'
+};
+
+class SettingsPanel {
+    /**
+     * @param {ConfigService} configService - Configuration service
+     */
+    constructor(configService) {
+        this.configService = configService;
+        this.unlocked = false;
+        this.elements = {};
+
+        console.log('SettingsPanel initialized');
+    }
+
+    /**
+     * Find the panel elements and wire up its controls
+     */
+    init() {
+        this.elements = {
+            openBtn: document.getElementById('settings-btn'),
+            panel: document.getElementById('settings-panel'),
+            closeBtn: document.getElementById('settings-close-btn'),
+            pinForm: document.getElementById('settings-pin-form'),
+            pinInput: document.getElementById('settings-pin-input'),
+            pinError: document.getElementById('settings-pin-error'),
+            form: document.getElementById('settings-form'),
+            fields: document.getElementById('settings-fields'),
+            message: document.getElementById('settings-message'),
+            exportBtn: document.getElementById('settings-export-btn'),
+            importBtn: document.getElementById('settings-import-btn'),
+            importInput: document.getElementById('settings-import-input'),
+            resetBtn: document.getElementById('settings-reset-btn')
+        };
+
+        if (!this.elements.panel || !this.elements.openBtn) {
+            console.warn('Settings panel markup not found');
+            return;
+        }
+
+        this.elements.openBtn.style.display = this.configService.getSettingsConfig().enabled ? '' : 'none';
+        this.elements.openBtn.addEventListener('click', () => this.open());
+        this.elements.closeBtn.addEventListener('click', () => this.close());
+        this.elements.pinForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.unlock(this.elements.pinInput.value);
+        });
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        this.elements.exportBtn.addEventListener('click', () => this.exportConfig());
+        this.elements.importBtn.addEventListener('click', () => this.elements.importInput.click());
+        this.elements.resetBtn.addEventListener('click', () => this.resetToDefaults());
+        this.elements.importInput.addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.importConfig(file);
+            }
+        });
+
+        // Keep the open panel in sync with reloads and other changes
+        this.configService.onChange(() => {
+            if (this.unlocked && this.isOpen()) {
+                this.render();
+            }
+        });
+    }
+
+    /**
+     * @returns {boolean} True if the panel is visible
+     */
+    isOpen() {
+        return this.elements.panel && this.elements.panel.style.display !== 'none';
+    }
+
+    /**
+     * Show the panel, asking for the PIN
+     */
+    open() {
+        const { enabled } = this.configService.getSettingsConfig();
+        if (!enabled) return;
+
+        this.unlocked = false;
+        this.elements.panel.style.display = 'flex';
+        this.showMessage('');
+        this.updateLockState();
+    }
+
+    /**
+     * Hide the panel and lock it again
+     */
+    close() {
+        this.unlocked = false;
+        this.elements.panel.style.display = 'none';
+        this.elements.pinInput.value = '';
+    }
+
+    /**
+     * Check the PIN and show the settings form if it matches
+     * @param {string} pin - Entered PIN
+     */
+    unlock(pin) {
+        const expectedPin = this.configService.getSettingsConfig().pin;
+        if (!expectedPin) {
+            console.warn('Settings panel: no PIN configured, refusing to unlock');
+            return;
+        }
+
+        if (pin === expectedPin) {
+            this.unlocked = true;
+            this.elements.pinInput.value = '';
+            this.updateLockState();
+        } else {
+            console.warn('Settings panel: wrong PIN entered');
+            this.elements.pinError.textContent = 'Wrong PIN';
+            this.elements.pinInput.select();
+        }
+    }
+
+    /**
+     * Switch between the PIN prompt and the settings form
+     */
+    updateLockState() {
+        const hasPin = Boolean(this.configService.getSettingsConfig().pin);
+
+        this.elements.pinForm.style.display = this.unlocked ? 'none' : 'flex';
+        this.elements.form.style.display = this.unlocked ? 'flex' : 'none';
+        this.elements.pinInput.disabled = !hasPin;
+        // No PIN configured: keep the panel locked instead of opening it to anyone at the robot
+        this.elements.pinError.textContent = hasPin ? '' : 'Set settings.pin to enable';
+
+        if (this.unlocked) {
+            this.render();
+        } else if (hasPin) {
+            this.elements.pinInput.focus();
+        }
+    }
+
+    /**
+     * Build the settings inputs from the current configuration
+     */
+    render() {
+        const config = this.configService.getConfig();
+        const container = this.elements.fields;
+        container.innerHTML = '';
+
+        let fieldset = null;
+        SETTINGS_FIELDS.forEach((field) => {
+            if (!fieldset || fieldset.dataset.group !== field.group) {
+                fieldset = document.createElement('fieldset');
+                fieldset.className = 'settings-group';
+                fieldset.dataset.group = field.group;
+                const legend = document.createElement('legend');
+                legend.textContent = field.group;
+                fieldset.appendChild(legend);
+                container.appendChild(fieldset);
+            }
+
+            fieldset.appendChild(this.createField(field, this.getValue(config, field.path)));
+        });
+    }
+
+    /**
+     * Create the row for a single setting
+     * @param {Object} field - Entry from SETTINGS_FIELDS
+     * @param {any} value - Current effective value
+     * @returns {HTMLElement} Settings row
+     */
+    createField(field, value) {
+        const schema = ConfigSchema.getNode(field.path);
+        const row = document.createElement('div');
+        row.className = 'settings-field';
+
+        const label = document.createElement('label');
+        label.textContent = field.label;
+        label.htmlFor = `setting-${field.path}`;
+
+        let input;
+        if (schema.type === 'boolean') {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.checked = value === true;
+        } else if (schema.enum) {
+            input = document.createElement('select');
+            schema.enum.forEach((option) => {
+                const element = document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                input.appendChild(element);
+            });
+            input.value = value;
+        } else {
+            input = document.createElement('input');
+            input.type = schema.type === 'string' ? 'text' : 'number';
+            if (schema.min !== undefined) input.min = schema.min;
+            if (schema.max !== undefined) input.max = schema.max;
+            if (schema.type === 'number') input.step = 'any';
+            input.value = value === undefined ? '' : value;
+        }
+        input.id = `setting-${field.path}`;
+        input.dataset.path = field.path;
+
+        const source = document.createElement('span');
+        source.className = 'settings-source';
+        const layer = this.configService.getValueLayer(field.path);
+        source.textContent = this.getLayerLabel(layer);
+
+        // Values from the launcher or the URL win over anything saved here
+        if (layer === 'global' || layer === 'url') {
+            source.classList.add('overridden');
+            source.textContent += ' - overrides edits made here';
+        }
+
+        const error = document.createElement('span');
+        error.className = 'settings-error';
+
+        row.append(label, input, source, error);
+        return row;
+    }
+
+    /**
+     * Read, validate and apply the edited settings
+     */
+    save() {
+        const config = this.configService.getConfig();
+        const values = {};
+        let valid = true;
+
+        this.elements.fields.querySelectorAll('[data-path]').forEach((input) => {
+            const path = input.dataset.path;
+            const schema = ConfigSchema.getNode(path);
+            const error = input.parentElement.querySelector('.settings-error');
+            const value = this.readInput(input, schema);
+            error.textContent = '';
+
+            // Leaving an optional text setting empty keeps the current value
+            if (value === '' && !schema.required && this.getValue(config, path) === undefined) {
+                return;
+            }
+
+            const problem = ConfigSchema.checkValue(value, schema);
+            if (problem) {
+                error.textContent = `Value ${problem}`;
+                valid = false;
+                return;
+            }
+
+            if (value !== this.getValue(config, path)) {
+                ConfigSchema.setPath(values, path, value);
+            }
+        });
+
+        if (!valid) {
+            this.showMessage('Please fix the highlighted settings', true);
+            return;
+        }
+        if (Object.keys(values).length === 0) {
+            this.showMessage('No changes to save');
+            return;
+        }
+
+        this.configService.setValues(values, 'settings');
+        this.showMessage('Settings saved');
+    }
+
+    /**
+     * Convert an input's value to the type expected by the schema
+     * @param {HTMLElement} input - Settings input
+     * @param {Object} schema - Schema node
+     * @returns {any} Typed value
+     */
+    readInput(input, schema) {
+        if (schema.type === 'boolean') {
+            return input.checked;
+        }
+        if (schema.enum) {
+            return schema.enum.find((option) => String(option) === input.value);
+        }
+        return ConfigSchema.coerce(input.value.trim(), schema);
+    }
+
+    /**
+     * Download the effective configuration as JSON
+     */
+    exportConfig() {
+        const config = this.configService.exportConfig();
+        const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${this.configService.getRobotId()}-config.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+        console.log('Configuration exported');
+    }
+
+    /**
+     * Import a configuration file exported from this or another robot
+     * @param {File} file - JSON file
+     */
+    async importConfig(file) {
+        try {
+            const config = JSON.parse(await file.text());
+            const errors = this.configService.importConfig(config);
+
+            if (errors.length > 0) {
+                this.showMessage(`Imported with ${errors.length} problem(s) skipped: ${errors.map((error) => error.message).join('; ')}`, true);
+            } else {
+                this.showMessage(`Imported ${file.name}`);
+            }
+        } catch (error) {
+            console.error('Error importing configuration:', error);
+            this.showMessage(`Import failed: ${error.message}`, true);
+        }
+    }
+
+    /**
+     * Drop the preferences saved on this robot after confirmation
+     */
+    resetToDefaults() {
+        if (!window.confirm('Reset all settings saved on this robot to the configured defaults?')) {
+            return;
+        }
+
+        this.configService.resetLocalConfig();
+        this.showMessage('Settings reset to defaults');
+    }
+
+    /**
+     * Show a status message below the form
+     * @param {string} text - Message
+     * @param {boolean} isError - Style as an error
+     */
+    showMessage(text, isError = false) {
+        if (!this.elements.message) return;
+
+        this.elements.message.textContent = text;
+        this.elements.message.classList.toggle('error', isError);
+    }
+
+    /**
+     * @param {string|null} layer - Layer name from ConfigService.getValueLayer
+     * @returns {string} Display label
+     */
+    getLayerLabel(layer) {
+        if (!layer) return 'not set';
+        if (layer.startsWith('profile:')) return `profile "${layer.slice('profile:'.length)}"`;
+        return SETTINGS_LAYER_LABELS[layer] || layer;
+    }
+
+    /**
+     * Read a dotted path from an object
+     * @param {Object} object - Source object
+     * @param {string} path - e.g. 'server.endpoint'
+     * @returns {any} Value or undefined
+     */
+    getValue(object, path) {
+        return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+    }
+}
+
+// Export for use in other modules
+window.SettingsPanel = SettingsPanel;
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Settings Store for Robot Audio Recorder
+ * Versioned localStorage persistence for the preferences saved on a robot.
+ * Stored format: { "version": SETTINGS_VERSION, "savedAt": "<ISO date>", "values": { ...allow-listed config keys } }
+ */
+
+/**
+ * Current stored settings format; bump it and add a migration when the format or key meaning changes
+ */
+const SETTINGS_VERSION = 1;
+
+const SETTINGS_STORAGE_KEY = 'robotAudioRecorderSettings';
+
+/**
+ * Unversioned blob written by earlier releases (treated as version 0)
+ */
+const LEGACY_SETTINGS_STORAGE_KEY = 'robotAudioRecorderConfig';
+
+/**
+ * Top-level config keys that are persisted; anything else found in storage is dropped on load
+ */
+const PERSISTED_SETTINGS_KEYS = [
+    'robotId',
+    'profile',
+    'server',
+    'speaker',
+    'microphone',
+    'audioDevice',
+    'audioOutputDevice',
+    'masterVolume',
+    'participantVolumes',
+    'maxConnectionAttempts',
+    'reconnectDelay',
+    'maxReconnectDelay',
+    'connectionTimeout',
+    'microphoneProcessing',
+    'outputProcessing',
+    'recording',
+    'ui',
+    'features'
+];
+
+/**
+ * Migrations indexed by the version they upgrade from; each returns the values for the next version
+ */
+const SETTINGS_MIGRATIONS = [
+    // 0 -> 1: the legacy blob held effective values, not just changes, and an empty audioDevice meant "default"
+    (values) => {
+        const migrated = { ...values };
+        if (migrated.audioDevice === '') {
+            delete migrated.audioDevice;
+        }
+        return migrated;
+    }
+];
+
+class SettingsStore {
+    /**
+     * @param {Storage} storage - Storage backend (defaults to window.localStorage)
+     */
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    /**
+     * Read the stored settings, migrating older formats to the current version
+     * @returns {Object} Allow-listed config values ({} when nothing is stored or storage is unreadable)
+     */
+    load() {
+        try {
+            let stored = this.read(SETTINGS_STORAGE_KEY);
+
+            if (!stored) {
+                const legacy = this.read(LEGACY_SETTINGS_STORAGE_KEY);
+                if (!legacy) {
+                    return {};
+                }
+                console.log('Migrating legacy settings from', LEGACY_SETTINGS_STORAGE_KEY);
+                stored = { version: 0, values: legacy };
+            }
+
+            const version = Number.isInteger(stored.version) ? stored.version : 0;
+            let values = ConfigSchema.isPlainObject(stored.values) ? stored.values : {};
+
+            if (version > SETTINGS_VERSION) {
+                // Written by a newer release (e.g. after a rollback); keep what this release understands
+                console.warn(`Stored settings version ${version} is newer than supported version ${SETTINGS_VERSION}`);
+            }
+
+            for (let from = version; from < SETTINGS_VERSION; from++) {
+                values = SETTINGS_MIGRATIONS[from](values);
+                console.log(`Settings migrated from version ${from} to ${from + 1}`);
+            }
+
+            values = this.filter(values);
+
+            if (version < SETTINGS_VERSION) {
+                this.save(values);
+                this.storage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+            }
+
+            return values;
+        } catch (error) {
+            console.error('Error loading stored settings:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save settings in the current format
+     * @param {Object} values - Config values (keys outside PERSISTED_SETTINGS_KEYS are ignored)
+     * @returns {boolean} True if saved
+     */
+    save(values) {
+        try {
+            this.storage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({
+                version: SETTINGS_VERSION,
+                savedAt: new Date().toISOString(),
+                values: this.filter(values)
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Remove all stored settings, including the legacy blob
+     */
+    clear() {
+        try {
+            this.storage.removeItem(SETTINGS_STORAGE_KEY);
+            this.storage.removeItem(LEGACY_SETTINGS_STORAGE_KEY);
+            console.log('Stored settings cleared');
+        } catch (error) {
+            console.error('Error clearing stored settings:', error);
+        }
+    }
+
+    /**
+     * Keep only allow-listed keys
+     * @param {Object} values - Config values
+     * @returns {Object} Persistable values
+     */
+    filter(values) {
+        const persisted = {};
+
+        PERSISTED_SETTINGS_KEYS.forEach((key) => {
+            if (values && values[key] !== undefined) {
+                persisted[key] = values[key];
+            }
+        });
+
+        return persisted;
+    }
+
+    /**
+     * Read and parse a storage entry
+     * @param {string} key - Storage key
+     * @returns {Object|null} Parsed object, or null if missing
+     */
+    read(key) {
+        const text = this.storage.getItem(key);
+        if (!text) return null;
+
+        const parsed = JSON.parse(text);
+        return ConfigSchema.isPlainObject(parsed) ? parsed : null;
+    }
+}
+
+// Export for use in other modules
+window.SettingsStore = SettingsStore;
+window.PERSISTED_SETTINGS_KEYS = PERSISTED_SETTINGS_KEYS;
\ No newline at end of file
@@ -0,0 +1,47 @@
+/**
+ * Shared AudioContext for Robot Audio Recorder
+ * Robots run on low-power CPUs, so every Web Audio feature shares one context
+ */
+class SharedAudioContext {
+    /**
+     * Get (and lazily create) the shared AudioContext
+     * @returns {AudioContext|null} Shared context, or null if Web Audio is unavailable
+     */
+    static get() {
+        if (SharedAudioContext.context) {
+            return SharedAudioContext.context;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio API not supported in this browser');
+            return null;
+        }
+
+        SharedAudioContext.context = new AudioContextClass();
+        console.log('Shared AudioContext created, sample rate:', SharedAudioContext.context.sampleRate);
+        return SharedAudioContext.context;
+    }
+
+    /**
+     * Resume the shared context if the autoplay policy suspended it
+     * @returns {Promise<AudioContext|null>} Shared context
+     */
+    static async resume() {
+        const context = SharedAudioContext.get();
+        if (context && context.state === 'suspended') {
+            try {
+                await context.resume();
+                console.log('Shared AudioContext resumed');
+            } catch (error) {
+                console.warn('Failed to resume shared AudioContext:', error);
+            }
+        }
+        return context;
+    }
+}
+
+SharedAudioContext.context = null;
+
+// Export for use in other modules
+window.SharedAudioContext = SharedAudioContext;
\ No newline at end of file
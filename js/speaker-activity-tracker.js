@@ -0,0 +1,83 @@
+/**
+ * Speaker Activity Tracker for Robot Audio Recorder
+ * Accumulates per-participant talk time from LiveKit active speaker updates
+ */
+class SpeakerActivityTracker {
+    constructor() {
+        this.totals = new Map(); // identity -> accumulated milliseconds
+        this.speakingSince = new Map(); // identity -> timestamp speech started
+        this.sessionStartedAt = Date.now();
+    }
+
+    /**
+     * Record the current set of active speakers
+     * @param {Array<string>} identities - Identities currently speaking
+     * @param {number} now - Timestamp (defaults to Date.now())
+     */
+    update(identities, now = Date.now()) {
+        const speaking = new Set(identities);
+
+        // Close out participants who stopped speaking
+        this.speakingSince.forEach((startedAt, identity) => {
+            if (!speaking.has(identity)) {
+                this.totals.set(identity, (this.totals.get(identity) || 0) + (now - startedAt));
+                this.speakingSince.delete(identity);
+            }
+        });
+
+        // Open intervals for participants who started speaking
+        speaking.forEach((identity) => {
+            if (!this.speakingSince.has(identity)) {
+                this.speakingSince.set(identity, now);
+            }
+        });
+    }
+
+    /**
+     * Get identities currently speaking
+     * @returns {Array<string>} Active speaker identities
+     */
+    getActiveSpeakers() {
+        return Array.from(this.speakingSince.keys());
+    }
+
+    /**
+     * Get accumulated talk time per participant, including speech still in progress
+     * @param {number} now - Timestamp (defaults to Date.now())
+     * @returns {Object} identity -> talk time in milliseconds
+     */
+    getTotals(now = Date.now()) {
+        const totals = {};
+        this.totals.forEach((milliseconds, identity) => {
+            totals[identity] = milliseconds;
+        });
+        this.speakingSince.forEach((startedAt, identity) => {
+            totals[identity] = (totals[identity] || 0) + (now - startedAt);
+        });
+        return totals;
+    }
+
+    /**
+     * Get a talk time summary for the session
+     * @returns {Object} Session start, active speakers and talk time per participant
+     */
+    getSummary() {
+        return {
+            sessionStartedAt: new Date(this.sessionStartedAt).toISOString(),
+            activeSpeakers: this.getActiveSpeakers(),
+            talkTime: this.getTotals()
+        };
+    }
+
+    /**
+     * Clear all accumulated talk time and start a new session
+     */
+    reset() {
+        this.totals.clear();
+        this.speakingSince.clear();
+        this.sessionStartedAt = Date.now();
+    }
+}
+
+// Export for use in other modules
+window.SpeakerActivityTracker = SpeakerActivityTracker;
\ No newline at end of file
@@ -0,0 +1,531 @@
+/**
+ * Recording Upload Manager for Robot Audio Recorder
+ * Chunked, resumable upload of finished recordings to simple-proxy.
+ * Chunks are persisted in IndexedDB until the server has reassembled and verified the file,
+ * so uploads survive page reloads, network loss and a server that drops a corrupted upload.
+ */
+
+const UPLOAD_DB_NAME = 'robotAudioRecorderUploads';
+const UPLOAD_DB_VERSION = 1;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<any>} Request result
+ */
+function idbRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Upload request rejected by the server
+ */
+class UploadError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {number} status - HTTP status
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+    }
+
+    /**
+     * Client errors other than the transient ones will fail the same way on every attempt.
+     * 409 (missing chunks) is fixed by the next pass resending them.
+     * @returns {boolean} True if retrying cannot help
+     */
+    isPermanent() {
+        return this.status >= 400 && this.status < 500 && this.status !== 409 && !RETRYABLE_STATUSES.includes(this.status);
+    }
+}
+
+class RecordingUploadManager {
+    constructor(configService) {
+        this.configService = configService;
+        this.db = null;
+        this.isProcessing = false;
+        this.rerunRequested = false;
+        this.retryTimeout = null;
+        this.retryDelay = 0;
+        this.httpClient = new HttpClient(configService);
+
+        // Uploads the server rejected for good; kept in IndexedDB and tried again after a page reload
+        this.failedUploads = new Set();
+
+        // recordingId -> { state, uploadedChunks, totalChunks, error }
+        this.statuses = new Map();
+        this.listeners = new Set();
+
+        console.log('RecordingUploadManager initialized');
+    }
+
+    /**
+     * Open the upload store and resume uploads left over from a previous page load
+     */
+    async init() {
+        const settings = this.configService.getUploadConfig();
+        if (!settings.enabled) {
+            console.log('Recording upload disabled');
+            return;
+        }
+
+        if (!window.indexedDB) {
+            console.warn('IndexedDB not available, recording upload disabled');
+            return;
+        }
+
+        try {
+            this.db = await this.openDatabase();
+            window.addEventListener('online', () => {
+                console.log('Network back online, resuming uploads');
+                this.processQueue();
+            });
+
+            const uploads = await this.getAllUploads();
+            uploads.forEach((upload) => {
+                this.setStatus(upload.recordingId, {
+                    state: 'pending',
+                    uploadedChunks: upload.totalChunks - upload.pendingChunks,
+                    totalChunks: upload.totalChunks
+                });
+            });
+
+            if (uploads.length > 0) {
+                console.log(`Resuming ${uploads.length} pending upload(s)`);
+            }
+            this.processQueue();
+        } catch (error) {
+            console.error('Error initializing upload store:', error);
+            this.db = null;
+        }
+    }
+
+    /**
+     * Check if uploads are available
+     * @returns {boolean} True if the upload store is open
+     */
+    isEnabled() {
+        return this.db !== null;
+    }
+
+    /**
+     * Register a listener notified whenever an upload status changes
+     * @param {Function} listener - Callback receiving the manager
+     */
+    onUpdate(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Get upload status for a recording
+     * @param {string} recordingId - Recording ID
+     * @returns {Object|null} Upload status
+     */
+    getStatus(recordingId) {
+        return this.statuses.get(recordingId) || null;
+    }
+
+    /**
+     * Count uploads still waiting to be sent (not uploaded and not failed)
+     * @returns {number} Pending upload count
+     */
+    getPendingCount() {
+        let count = 0;
+        this.statuses.forEach((status) => {
+            if (status.state !== 'uploaded' && status.state !== 'failed') count++;
+        });
+        return count;
+    }
+
+    /**
+     * Split a finished recording into chunks and persist it for upload
+     * @param {Object} recording - Recording entry from RecordingManager
+     */
+    async enqueue(recording) {
+        if (!this.db) return;
+
+        const settings = this.configService.getUploadConfig();
+        const buffer = await recording.blob.arrayBuffer();
+        const uploadId = `${recording.id}_${Math.random().toString(36).slice(2, 8)}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+        const totalChunks = Math.max(1, Math.ceil(buffer.byteLength / settings.chunkSize));
+
+        const chunks = [];
+        for (let index = 0; index < totalChunks; index++) {
+            const data = buffer.slice(index * settings.chunkSize, (index + 1) * settings.chunkSize);
+            chunks.push({
+                uploadId,
+                index,
+                data,
+                checksum: await this.checksum(data)
+            });
+        }
+
+        const upload = {
+            id: uploadId,
+            recordingId: recording.id,
+            robotId: this.configService.getRobotId(),
+            fileName: recording.fileName,
+            mimeType: recording.mimeType,
+            size: buffer.byteLength,
+            checksum: await this.checksum(buffer),
+            totalChunks,
+            pendingChunks: totalChunks,
+            createdAt: new Date().toISOString()
+        };
+
+        const transaction = this.db.transaction(['uploads', 'chunks'], 'readwrite');
+        transaction.objectStore('uploads').put(upload);
+        chunks.forEach((chunk) => transaction.objectStore('chunks').put(chunk));
+        await this.waitForTransaction(transaction);
+
+        console.log('Recording queued for upload:', { uploadId, fileName: upload.fileName, totalChunks });
+        this.setStatus(recording.id, { state: 'pending', uploadedChunks: 0, totalChunks });
+        this.processQueue();
+    }
+
+    /**
+     * Upload every persisted recording, one at a time; a failing upload does not hold up the others
+     */
+    async processQueue() {
+        if (!this.db) return;
+
+        if (this.isProcessing) {
+            // Uploads queued during a pass (e.g. all files of one session) must not wait for the next trigger
+            this.rerunRequested = true;
+            return;
+        }
+
+        if (navigator.onLine === false) {
+            console.log('Offline, upload queue paused');
+            return;
+        }
+
+        if (this.retryTimeout) {
+            clearTimeout(this.retryTimeout);
+            this.retryTimeout = null;
+        }
+
+        this.isProcessing = true;
+        let retry = false;
+        try {
+            const uploads = await this.getAllUploads();
+            for (const upload of uploads) {
+                if (this.failedUploads.has(upload.id)) continue;
+
+                try {
+                    await this.uploadFile(upload);
+                } catch (error) {
+                    if (error instanceof UploadError && error.isPermanent()) {
+                        this.markFailed(upload, error);
+                    } else {
+                        console.warn(`Upload of ${upload.fileName} interrupted:`, error.message);
+                        retry = true;
+                    }
+                }
+            }
+        } catch (error) {
+            console.warn('Upload interrupted:', error.message);
+            retry = true;
+        } finally {
+            this.isProcessing = false;
+        }
+
+        if (this.rerunRequested) {
+            this.rerunRequested = false;
+            this.processQueue();
+        } else if (retry) {
+            this.scheduleRetry();
+        } else {
+            this.retryDelay = 0;
+        }
+    }
+
+    /**
+     * Stop retrying an upload the server rejected for good
+     * @param {Object} upload - Upload record
+     * @param {UploadError} error - Rejection
+     */
+    markFailed(upload, error) {
+        console.error(`Upload of ${upload.fileName} rejected, skipping it:`, error.message);
+        this.failedUploads.add(upload.id);
+        this.setStatus(upload.recordingId, {
+            state: 'failed',
+            uploadedChunks: upload.totalChunks - upload.pendingChunks,
+            totalChunks: upload.totalChunks,
+            error: error.message
+        });
+    }
+
+    /**
+     * Upload the missing chunks of a recording and ask the server to assemble it
+     * @param {Object} upload - Upload record
+     */
+    async uploadFile(upload) {
+        const received = new Set(await this.fetchReceivedChunks(upload));
+        const chunks = await this.getChunks(upload.id);
+        let uploadedChunks = chunks.filter((chunk) => received.has(chunk.index)).length;
+
+        this.setStatus(upload.recordingId, {
+            state: 'uploading',
+            uploadedChunks,
+            totalChunks: upload.totalChunks
+        });
+
+        for (const chunk of chunks) {
+            if (received.has(chunk.index)) continue;
+
+            await this.sendChunk(upload, chunk);
+            uploadedChunks++;
+            await this.acknowledgeChunk(upload, uploadedChunks);
+        }
+
+        await this.completeUpload(upload);
+
+        // Only a verified file on the server makes the local copy redundant
+        const transaction = this.db.transaction(['uploads', 'chunks'], 'readwrite');
+        transaction.objectStore('uploads').delete(upload.id);
+        transaction.objectStore('chunks').delete(IDBKeyRange.bound([upload.id, 0], [upload.id, upload.totalChunks]));
+        await this.waitForTransaction(transaction);
+
+        console.log('Recording uploaded:', upload.fileName);
+        this.setStatus(upload.recordingId, {
+            state: 'uploaded',
+            uploadedChunks: upload.totalChunks,
+            totalChunks: upload.totalChunks
+        });
+    }
+
+    /**
+     * Ask the server which chunks it already holds (resume support)
+     * @param {Object} upload - Upload record
+     * @returns {Promise<Array<number>>} Received chunk indexes
+     */
+    async fetchReceivedChunks(upload) {
+        const response = await this.request(this.getUploadUrl(upload.id), {
+            method: 'GET',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (response.status === 404) {
+            return [];
+        }
+        if (!response.ok) {
+            throw new UploadError(`Upload status check failed: ${response.status}`, response.status);
+        }
+
+        const result = await response.json();
+        return (result.data && result.data.receivedChunks) || [];
+    }
+
+    /**
+     * Send one chunk to the server
+     * @param {Object} upload - Upload record
+     * @param {Object} chunk - Chunk record
+     */
+    async sendChunk(upload, chunk) {
+        const response = await this.request(`${this.getUploadUrl(upload.id)}/chunks/${chunk.index}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/octet-stream',
+                'Accept': 'application/json',
+                'X-Robot-Id': upload.robotId,
+                'X-Chunk-Checksum': chunk.checksum
+            },
+            body: chunk.data,
+            // HMAC signatures cover the checksum, which the server checks against the data
+            signedBody: chunk.checksum
+        });
+
+        if (!response.ok) {
+            throw new UploadError(`Chunk ${chunk.index} upload failed: ${response.status}`, response.status);
+        }
+    }
+
+    /**
+     * Record upload progress; the chunk itself stays stored until the upload is complete
+     * @param {Object} upload - Upload record
+     * @param {number} uploadedChunks - Chunks the server holds so far
+     */
+    async acknowledgeChunk(upload, uploadedChunks) {
+        upload.pendingChunks = Math.max(0, upload.totalChunks - uploadedChunks);
+
+        const transaction = this.db.transaction(['uploads'], 'readwrite');
+        transaction.objectStore('uploads').put(upload);
+        await this.waitForTransaction(transaction);
+
+        this.setStatus(upload.recordingId, {
+            state: 'uploading',
+            uploadedChunks: upload.totalChunks - upload.pendingChunks,
+            totalChunks: upload.totalChunks
+        });
+    }
+
+    /**
+     * Ask the server to reassemble and verify the file
+     * @param {Object} upload - Upload record
+     */
+    async completeUpload(upload) {
+        const body = JSON.stringify({
+            robotId: upload.robotId,
+            fileName: upload.fileName,
+            mimeType: upload.mimeType,
+            size: upload.size,
+            checksum: upload.checksum,
+            totalChunks: upload.totalChunks
+        });
+        const response = await this.request(`${this.getUploadUrl(upload.id)}/complete`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body,
+            signedBody: body
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.success) {
+            throw new UploadError(`Upload completion failed: ${result.error || response.status}`, response.status);
+        }
+    }
+
+    /**
+     * Send an upload request with the robot's credentials, a timeout and the shared retry policy
+     * @param {string} url - Request URL
+     * @param {Object} options - { method, headers, body, signedBody } (signedBody: text covered by HMAC signatures)
+     * @returns {Promise<Response>} Response
+     */
+    request(url, { method, headers, body, signedBody = '' }) {
+        return this.httpClient.request(url, {
+            method,
+            // Built per attempt, so HMAC timestamps stay fresh across retries
+            headers: async () => ({
+                ...headers,
+                ...await RequestAuth.getHeaders(this.configService, { method, url, body: signedBody })
+            }),
+            body,
+            timeout: this.configService.getUploadConfig().timeout,
+            mode: 'cors',
+            credentials: 'omit'
+        });
+    }
+
+    /**
+     * Retry the queue later with exponential backoff
+     */
+    scheduleRetry() {
+        const settings = this.configService.getUploadConfig();
+        this.retryDelay = this.retryDelay
+            ? Math.min(this.retryDelay * 2, settings.maxRetryDelay)
+            : settings.retryDelay;
+
+        console.log(`Retrying uploads in ${this.retryDelay}ms`);
+        this.retryTimeout = setTimeout(() => {
+            this.retryTimeout = null;
+            this.processQueue();
+        }, this.retryDelay);
+    }
+
+    /**
+     * Build the upload URL for an upload ID
+     * @param {string} uploadId - Upload ID
+     * @returns {string} URL
+     */
+    getUploadUrl(uploadId) {
+        const settings = this.configService.getUploadConfig();
+        const baseUrl = settings.endpoint || this.configService.getServerEndpoint();
+        return `${baseUrl}${settings.path}/${encodeURIComponent(uploadId)}`;
+    }
+
+    /**
+     * Compute a SHA-256 hex digest
+     * @param {ArrayBuffer} buffer - Data to hash
+     * @returns {Promise<string>} Hex digest
+     */
+    async checksum(buffer) {
+        if (window.crypto && window.crypto.subtle) {
+            const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+            return Array.from(new Uint8Array(digest)).map((byte) => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return sha256Fallback(buffer);
+    }
+
+    /**
+     * Open (and create if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    openDatabase() {
+        const request = window.indexedDB.open(UPLOAD_DB_NAME, UPLOAD_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('uploads')) {
+                db.createObjectStore('uploads', { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains('chunks')) {
+                const chunks = db.createObjectStore('chunks', { keyPath: ['uploadId', 'index'] });
+                chunks.createIndex('uploadId', 'uploadId');
+            }
+        };
+        return idbRequest(request);
+    }
+
+    /**
+     * Get all persisted uploads (oldest first)
+     * @returns {Promise<Array>} Upload records
+     */
+    async getAllUploads() {
+        const transaction = this.db.transaction(['uploads'], 'readonly');
+        const uploads = await idbRequest(transaction.objectStore('uploads').getAll());
+        return uploads.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Get persisted chunks of an upload
+     * @param {string} uploadId - Upload ID
+     * @returns {Promise<Array>} Chunk records ordered by index
+     */
+    async getChunks(uploadId) {
+        const transaction = this.db.transaction(['chunks'], 'readonly');
+        const index = transaction.objectStore('chunks').index('uploadId');
+        const chunks = await idbRequest(index.getAll(uploadId));
+        return chunks.sort((a, b) => a.index - b.index);
+    }
+
+    /**
+     * Wait for an IndexedDB transaction to commit
+     * @param {IDBTransaction} transaction - Transaction
+     * @returns {Promise<void>}
+     */
+    waitForTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Update a recording's upload status and notify listeners
+     * @param {string} recordingId - Recording ID
+     * @param {Object} status - New status
+     */
+    setStatus(recordingId, status) {
+        this.statuses.set(recordingId, status);
+        this.listeners.forEach((listener) => {
+            try {
+                listener(this);
+            } catch (error) {
+                console.error('Upload listener error:', error);
+            }
+        });
+    }
+}
+
+// Export for use in other modules
+window.RecordingUploadManager = RecordingUploadManager;
+window.UploadError = UploadError;
\ No newline at end of file
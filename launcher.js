@@ -16,6 +16,13 @@ const config = {
   chromePath: process.env.CHROME_PATH,
   robotId: process.env.ROBOT_ID || "robot-001",
   serverEndpoint: process.env.SERVER_ENDPOINT,
+  // Application server credentials (see js/request-auth.js)
+  auth: {
+    authType: process.env.ROBOT_AUTH_TYPE,
+    authToken: process.env.ROBOT_AUTH_TOKEN,
+    apiKey: process.env.ROBOT_API_KEY,
+    authSecret: process.env.ROBOT_AUTH_SECRET
+  },
   headless: process.env.HEADLESS !== "false",
   autoRestart: process.env.AUTO_RESTART !== "false",
   healthCheckInterval: parseInt(process.env.HEALTH_CHECK_INTERVAL) || 300000, // 5 minutes
@@ -217,6 +224,16 @@ class RobotAudioRecorderLauncher {
       });
     }
 
+    // Connection state transitions (robot-connection-state events, see js/connection-state.js)
+    await this.page.exposeFunction("__onRobotConnectionState", (event) => {
+      const details = event.error ? ` - ${event.error.code}: ${event.error.message}` : "";
+      const retry = event.delay !== null ? ` (attempt ${event.attempt}, retry in ${Math.round(event.delay / 1000)}s)` : "";
+      console.log(`🔌 Connection: ${event.from} -> ${event.to}${retry}${details}`);
+    });
+    await this.page.evaluateOnNewDocument(() => {
+      window.addEventListener("robot-connection-state", (event) => window.__onRobotConnectionState(event.detail));
+    });
+
     // Handle page errors
     this.page.on("pageerror", (error) => {
       console.error("🚨 Page error:", error.message);
@@ -257,6 +274,7 @@ class RobotAudioRecorderLauncher {
             if (window.app) {
               return {
                 isConnected: window.app.isConnected,
+                connectionState: window.app.connectionState.state,
                 roomName: window.app.roomName,
                 hasRoom: !!window.app.room
               };
@@ -265,7 +283,7 @@ class RobotAudioRecorderLauncher {
           });
 
           if (appStatus) {
-            console.log(`❤️ Health check passed - Connected: ${appStatus.isConnected}, Room: ${appStatus.roomName}`);
+            console.log(`❤️ Health check passed - Connected: ${appStatus.isConnected} (${appStatus.connectionState}), Room: ${appStatus.roomName}`);
           } else {
             console.log("❤️ Health check passed - App loading");
           }
@@ -282,27 +300,23 @@ class RobotAudioRecorderLauncher {
 
   /**
    * Inject custom configuration if provided
+   * Sets window.__ROBOT_CONFIG__ before any page script runs, so ConfigService
+   * picks it up on startup (see CONFIG_OVERRIDES in js/config-service.js)
    */
   async injectConfiguration() {
-    if (config.robotId || config.serverEndpoint) {
-      console.log("⚙️ Injecting custom configuration...");
-      
-      await this.page.evaluate((robotId, serverEndpoint) => {
-        // Wait for config service to be available
-        const waitForConfig = () => {
-          if (window.app && window.app.configService) {
-            const updates = {};
-            if (robotId) updates.robotId = robotId;
-            if (serverEndpoint) updates.server = { endpoint: serverEndpoint };
-            
-            window.app.configService.updateConfig(updates);
-            console.log("Custom configuration injected:", updates);
-          } else {
-            setTimeout(waitForConfig, 1000);
-          }
-        };
-        waitForConfig();
-      }, config.robotId, config.serverEndpoint);
+    const overrides = {};
+    if (process.env.ROBOT_ID) overrides.robotId = process.env.ROBOT_ID;
+    if (config.serverEndpoint) overrides.endpoint = config.serverEndpoint;
+    Object.entries(config.auth).forEach(([key, value]) => {
+      if (value) overrides[key] = value;
+    });
+
+    if (Object.keys(overrides).length > 0) {
+      console.log("⚙️ Injecting custom configuration:", Object.keys(overrides));
+
+      await this.page.evaluateOnNewDocument((robotConfig) => {
+        window.__ROBOT_CONFIG__ = robotConfig;
+      }, overrides);
     }
   }
 
@@ -330,12 +344,12 @@ class RobotAudioRecorderLauncher {
       // Set up monitoring
       await this.setupPageMonitoring();
 
+      // Inject custom configuration (must happen before navigation)
+      await this.injectConfiguration();
+
       // Navigate to the application
       await this.navigateWithRetry();
 
-      // Inject custom configuration
-      await this.injectConfiguration();
-
       // Set up health monitoring
       this.setupHealthCheck();
 
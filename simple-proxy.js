@@ -5,6 +5,7 @@
  */
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const url = require('url');
@@ -13,12 +14,62 @@ const WebSocket = require('ws');
 const PORT = process.env.PORT || 8080;
 const TARGET_SERVER = process.env.TARGET_SERVER || 'https://arcs-openvidu-vm.eastasia.cloudapp.azure.com';
 const targetUrl = new URL(TARGET_SERVER);
+const RECORDINGS_DIR = path.resolve(process.env.RECORDINGS_DIR || path.join(__dirname, 'recordings'));
+const RECORDINGS_MAX_CHUNK_SIZE = parseInt(process.env.RECORDINGS_MAX_CHUNK_SIZE) || 8 * 1024 * 1024;
+const RECORDINGS_STAGING_TTL = parseInt(process.env.RECORDINGS_STAGING_TTL) || 7 * 24 * 60 * 60;
+
+// Token mode: "proxy" forwards token requests to TARGET_SERVER, "local" signs LiveKit tokens here
+const TOKEN_MODE = process.env.TOKEN_MODE === 'local' ? 'local' : 'proxy';
+const LIVEKIT_API_KEY = process.env.LIVEKIT_API_KEY || '';
+const LIVEKIT_API_SECRET = process.env.LIVEKIT_API_SECRET || '';
+const LIVEKIT_URL = process.env.LIVEKIT_URL || '';
+const TOKEN_GRANTS = {
+    room: process.env.TOKEN_ROOM || '',
+    canPublish: process.env.TOKEN_CAN_PUBLISH !== 'false',
+    canSubscribe: process.env.TOKEN_CAN_SUBSCRIBE !== 'false',
+    canPublishData: process.env.TOKEN_CAN_PUBLISH_DATA !== 'false',
+    ttl: parseInt(process.env.TOKEN_TTL) || 6 * 60 * 60
+};
+// Local token mode only listens on loopback unless HOST says otherwise
+const HOST = process.env.HOST || (TOKEN_MODE === 'local' ? '127.0.0.1' : undefined);
+
+// Credentials required for recording uploads and local tokens; the same schemes the robots
+// send from their auth config (js/request-auth.js). With "none" only loopback clients are accepted.
+const REQUEST_AUTH = {
+    type: process.env.REQUEST_AUTH_TYPE || 'none',
+    token: process.env.REQUEST_AUTH_TOKEN || '',
+    apiKeys: (process.env.REQUEST_AUTH_API_KEYS || '').split(',').map((key) => key.trim()).filter(Boolean),
+    apiKeyHeader: (process.env.REQUEST_AUTH_API_KEY_HEADER || 'X-API-Key').toLowerCase(),
+    secret: process.env.REQUEST_AUTH_SECRET || '',
+    maxSkew: parseInt(process.env.REQUEST_AUTH_MAX_SKEW) || 300
+};
+
+if (TOKEN_MODE === 'local' && (!LIVEKIT_API_KEY || !LIVEKIT_API_SECRET || !LIVEKIT_URL)) {
+    console.error('❌ TOKEN_MODE=local requires LIVEKIT_API_KEY, LIVEKIT_API_SECRET and LIVEKIT_URL');
+    process.exit(1);
+}
+
+const REQUEST_AUTH_REQUIREMENTS = {
+    none: true,
+    bearer: REQUEST_AUTH.token !== '',
+    apiKey: REQUEST_AUTH.apiKeys.length > 0,
+    hmac: REQUEST_AUTH.secret !== ''
+};
+if (!REQUEST_AUTH_REQUIREMENTS[REQUEST_AUTH.type]) {
+    console.error(`❌ REQUEST_AUTH_TYPE=${REQUEST_AUTH.type} needs its credential (bearer: REQUEST_AUTH_TOKEN, apiKey: REQUEST_AUTH_API_KEYS, hmac: REQUEST_AUTH_SECRET)`);
+    process.exit(1);
+}
 
 // Log configuration on startup
 console.log(`🚀 Starting proxy server on port ${PORT}`);
 console.log(`🎯 Target server: ${TARGET_SERVER}`);
 console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`🔌 WebSocket proxy enabled for RTC connections`);
+console.log(`🎙️ Recording uploads stored in: ${RECORDINGS_DIR}`);
+console.log(`🔒 Upload and token requests: ${REQUEST_AUTH.type === 'none' ? 'loopback clients only' : `${REQUEST_AUTH.type} auth`}`);
+if (TOKEN_MODE === 'local') {
+    console.log(`🔑 Local token minting enabled for ${LIVEKIT_URL} (key ${LIVEKIT_API_KEY}, ttl ${TOKEN_GRANTS.ttl}s)`);
+}
 
 // MIME types for static files
 const mimeTypes = {
@@ -36,7 +87,411 @@ const mimeTypes = {
 function setCorsHeaders(res) {
     res.setHeader('Access-Control-Allow-Origin', '*');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
+    res.setHeader('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-Robot-Id, X-Chunk-Checksum, X-API-Key, X-Timestamp, X-Signature');
+}
+
+function sendJson(res, statusCode, body) {
+    setCorsHeaders(res);
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+function safeEqual(a, b) {
+    // Compare digests so the comparison takes the same time whatever the lengths
+    const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function isLoopback(req) {
+    return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+/**
+ * Check the request credentials against REQUEST_AUTH
+ * @returns {string|null} Why the request is refused, or null when it is allowed
+ */
+function checkRequestAuth(req, pathname, signedBody) {
+    switch (REQUEST_AUTH.type) {
+        case 'bearer':
+            return safeEqual(req.headers.authorization || '', `Bearer ${REQUEST_AUTH.token}`) ? null : 'Invalid bearer token';
+
+        case 'apiKey': {
+            const key = req.headers[REQUEST_AUTH.apiKeyHeader] || '';
+            return REQUEST_AUTH.apiKeys.some((allowed) => safeEqual(key, allowed)) ? null : 'Invalid API key';
+        }
+
+        case 'hmac': {
+            const timestamp = req.headers['x-timestamp'] || '';
+            const signature = (req.headers['x-signature'] || '').toLowerCase();
+            if (!/^\d+$/.test(timestamp) || Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > REQUEST_AUTH.maxSkew) {
+                return 'Missing or expired X-Timestamp';
+            }
+            const message = [timestamp, req.method.toUpperCase(), pathname, signedBody].join('\n');
+            const expected = crypto.createHmac('sha256', REQUEST_AUTH.secret).update(message).digest('hex');
+            return safeEqual(signature, expected) ? null : 'Invalid signature';
+        }
+
+        default:
+            return isLoopback(req) ? null : 'Only local clients are accepted (set REQUEST_AUTH_TYPE to allow robots)';
+    }
+}
+
+/**
+ * Reply 401 unless the request is authenticated
+ * @param {string} signedBody - What the client signed as the body (hmac)
+ * @returns {boolean} True when the request may proceed
+ */
+function requireRequestAuth(req, res, pathname, signedBody = '') {
+    const problem = checkRequestAuth(req, pathname, signedBody);
+    if (problem) {
+        console.warn(`⚠️ Refused ${req.method} ${pathname} from ${req.socket.remoteAddress}: ${problem}`);
+        sendJson(res, 401, { success: false, error: problem });
+        return false;
+    }
+    return true;
+}
+
+function readRequestBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > limit) {
+                const error = new Error(`Request body exceeds ${limit} bytes`);
+                error.statusCode = 413;
+                req.destroy();
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+// Recording upload receiver
+// Chunks are staged under RECORDINGS_DIR/.incoming/<uploadId>/ and reassembled into
+// RECORDINGS_DIR/<robotId>/<fileName> once the client reports the upload complete.
+// An existing recording is never replaced; a different file with the same name is stored
+// as <name>_<uploadId><ext>. Staged uploads untouched for RECORDINGS_STAGING_TTL seconds are removed.
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_-]{1,200}$/;
+const SAFE_FILE_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,255}$/;
+
+function sha256(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Uploaded recordings are never served as static files, even when RECORDINGS_DIR lies inside
+// the served directory (the default, and /app/recordings in docker-compose)
+function isInRecordingsDir(filePath) {
+    const relative = path.relative(RECORDINGS_DIR, filePath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function getIncomingDir(uploadId) {
+    return path.join(RECORDINGS_DIR, '.incoming', uploadId);
+}
+
+async function listReceivedChunks(uploadId) {
+    try {
+        const files = await fs.promises.readdir(getIncomingDir(uploadId));
+        return files
+            .filter((file) => /^\d+\.part$/.test(file))
+            .map((file) => parseInt(file, 10))
+            .sort((a, b) => a - b);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Paths a completed upload may be stored under, in order of preference
+ */
+function getStoredPaths(finalPath, uploadId) {
+    const ext = path.extname(finalPath);
+    return [finalPath, path.join(path.dirname(finalPath), `${path.basename(finalPath, ext)}_${uploadId}${ext}`)];
+}
+
+async function removeStaleUploads() {
+    const incomingRoot = path.join(RECORDINGS_DIR, '.incoming');
+    let entries;
+    try {
+        entries = await fs.promises.readdir(incomingRoot);
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.error('Stale upload cleanup failed:', error);
+        return;
+    }
+
+    const cutoff = Date.now() - RECORDINGS_STAGING_TTL * 1000;
+    for (const entry of entries) {
+        const dir = path.join(incomingRoot, entry);
+        try {
+            if ((await fs.promises.stat(dir)).mtimeMs < cutoff) {
+                await fs.promises.rm(dir, { recursive: true, force: true });
+                console.log(`🧹 Removed stale upload ${entry}`);
+            }
+        } catch (error) {
+            console.error(`Stale upload cleanup failed for ${entry}:`, error);
+        }
+    }
+}
+
+async function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (data) => hash.update(data))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+async function receiveChunk(req, res, uploadId, index) {
+    const expectedChecksum = req.headers['x-chunk-checksum'];
+    if (!expectedChecksum) {
+        sendJson(res, 400, { success: false, error: 'Missing X-Chunk-Checksum header' });
+        return;
+    }
+
+    const data = await readRequestBody(req, RECORDINGS_MAX_CHUNK_SIZE);
+    const checksum = sha256(data);
+    if (checksum !== expectedChecksum.toLowerCase()) {
+        console.warn(`⚠️ Checksum mismatch for upload ${uploadId} chunk ${index}`);
+        sendJson(res, 422, { success: false, error: 'Chunk checksum mismatch' });
+        return;
+    }
+
+    const incomingDir = getIncomingDir(uploadId);
+    await fs.promises.mkdir(incomingDir, { recursive: true });
+
+    // Write then rename so a half-written chunk is never reported as received
+    const chunkPath = path.join(incomingDir, `${index}.part`);
+    await fs.promises.writeFile(`${chunkPath}.tmp`, data);
+    await fs.promises.rename(`${chunkPath}.tmp`, chunkPath);
+
+    sendJson(res, 200, { success: true, data: { index, size: data.length, checksum } });
+}
+
+async function completeUpload(req, res, uploadId, body) {
+    let details;
+    try {
+        details = JSON.parse(body);
+    } catch (error) {
+        sendJson(res, 400, { success: false, error: 'Invalid JSON body' });
+        return;
+    }
+
+    const { robotId, fileName, checksum, size, totalChunks } = details;
+    if (!SAFE_ID_PATTERN.test(robotId || '') || !SAFE_FILE_NAME_PATTERN.test(fileName || '') || fileName.startsWith('.')) {
+        sendJson(res, 400, { success: false, error: 'Invalid robotId or fileName' });
+        return;
+    }
+    if (!Number.isInteger(totalChunks) || totalChunks < 1 || !checksum) {
+        sendJson(res, 400, { success: false, error: 'Invalid totalChunks or checksum' });
+        return;
+    }
+
+    const robotDir = path.join(RECORDINGS_DIR, robotId);
+    const finalPath = path.join(robotDir, fileName);
+    const storedPaths = getStoredPaths(finalPath, uploadId);
+    const resultFor = (storedPath) => ({
+        robotId, fileName, size, checksum, path: `${robotId}/${path.basename(storedPath)}`
+    });
+
+    const received = await listReceivedChunks(uploadId);
+    if (received === null) {
+        // Already assembled by an earlier request whose response never reached the robot
+        for (const storedPath of storedPaths) {
+            if (fs.existsSync(storedPath) && await hashFile(storedPath) === checksum) {
+                sendJson(res, 200, { success: true, data: resultFor(storedPath) });
+                return;
+            }
+        }
+        sendJson(res, 404, { success: false, error: 'Upload not found' });
+        return;
+    }
+
+    const missing = [];
+    for (let index = 0; index < totalChunks; index++) {
+        if (!received.includes(index)) missing.push(index);
+    }
+    if (missing.length > 0) {
+        sendJson(res, 409, { success: false, error: 'Missing chunks', data: { missingChunks: missing } });
+        return;
+    }
+
+    await fs.promises.mkdir(robotDir, { recursive: true });
+
+    const incomingDir = getIncomingDir(uploadId);
+    const tempPath = `${finalPath}.${uploadId}.tmp`;
+    const hash = crypto.createHash('sha256');
+    let assembledSize = 0;
+
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+        for (let index = 0; index < totalChunks; index++) {
+            const data = await fs.promises.readFile(path.join(incomingDir, `${index}.part`));
+            hash.update(data);
+            assembledSize += data.length;
+            await handle.write(data);
+        }
+    } finally {
+        await handle.close();
+    }
+
+    const assembledChecksum = hash.digest('hex');
+    if (assembledChecksum !== checksum || (size !== undefined && assembledSize !== size)) {
+        console.warn(`⚠️ Assembled file checksum mismatch for upload ${uploadId}`);
+        // Which chunk is bad is unknown; the robot keeps its chunks until completion and sends them all again
+        await fs.promises.rm(tempPath, { force: true });
+        await fs.promises.rm(incomingDir, { recursive: true, force: true });
+        sendJson(res, 422, { success: false, error: 'File checksum mismatch' });
+        return;
+    }
+
+    // link() fails instead of replacing an existing file, unlike rename()
+    let storedPath = null;
+    try {
+        for (const candidate of storedPaths) {
+            try {
+                await fs.promises.link(tempPath, candidate);
+                storedPath = candidate;
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (await hashFile(candidate) === checksum) {
+                    storedPath = candidate;
+                    break;
+                }
+            }
+        }
+    } finally {
+        await fs.promises.rm(tempPath, { force: true });
+    }
+
+    if (!storedPath) {
+        sendJson(res, 409, { success: false, error: `${robotId}/${fileName} already exists with different content` });
+        return;
+    }
+
+    await fs.promises.rm(incomingDir, { recursive: true, force: true });
+
+    console.log(`🎙️ Recording stored: ${storedPath} (${assembledSize} bytes)`);
+    sendJson(res, 200, { success: true, data: resultFor(storedPath) });
+}
+
+async function handleRecordingUpload(req, res, pathname) {
+    const match = pathname.match(/^\/recordings\/upload\/([^/]+)(?:\/(complete|chunks\/(\d+)))?$/);
+    const uploadId = match ? decodeURIComponent(match[1]) : null;
+
+    if (!match || !SAFE_ID_PATTERN.test(uploadId)) {
+        sendJson(res, 404, { success: false, error: 'Unknown upload route' });
+        return;
+    }
+
+    try {
+        if (!match[2] && req.method === 'GET') {
+            if (!requireRequestAuth(req, res, pathname)) return;
+            const received = await listReceivedChunks(uploadId);
+            if (received === null) {
+                sendJson(res, 404, { success: false, error: 'Upload not found' });
+            } else {
+                sendJson(res, 200, { success: true, data: { uploadId, receivedChunks: received } });
+            }
+        } else if (match[3] !== undefined && req.method === 'PUT') {
+            // Chunk signatures cover the X-Chunk-Checksum header, which receiveChunk checks against the data
+            if (!requireRequestAuth(req, res, pathname, req.headers['x-chunk-checksum'] || '')) return;
+            await receiveChunk(req, res, uploadId, parseInt(match[3], 10));
+        } else if (match[2] === 'complete' && req.method === 'POST') {
+            const body = (await readRequestBody(req, 64 * 1024)).toString('utf8');
+            if (!requireRequestAuth(req, res, pathname, body)) return;
+            await completeUpload(req, res, uploadId, body);
+        } else {
+            sendJson(res, 405, { success: false, error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Recording upload error:', error);
+        sendJson(res, error.statusCode || 500, { success: false, error: error.message });
+    }
+}
+
+// Local token issuer (TOKEN_MODE=local)
+// Signs LiveKit access tokens (HS256 JWT) so robots can join a LiveKit server without the
+// remote application server. Responses use the same { success, data: { token, livekitUrl } }
+// shape as the application server.
+const SAFE_NAME_PATTERN = /^[A-Za-z0-9_.:@-]{1,128}$/;
+
+function mintToken(roomName, participantName) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'HS256', typ: 'JWT' };
+    const claims = {
+        iss: LIVEKIT_API_KEY,
+        sub: participantName,
+        name: participantName,
+        iat: now,
+        nbf: now,
+        exp: now + TOKEN_GRANTS.ttl,
+        jti: `${participantName}-${crypto.randomBytes(8).toString('hex')}`,
+        video: {
+            room: roomName,
+            roomJoin: true,
+            canPublish: TOKEN_GRANTS.canPublish,
+            canSubscribe: TOKEN_GRANTS.canSubscribe,
+            canPublishData: TOKEN_GRANTS.canPublishData
+        }
+    };
+
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    const unsigned = `${encode(header)}.${encode(claims)}`;
+    const signature = crypto.createHmac('sha256', LIVEKIT_API_SECRET).update(unsigned).digest('base64url');
+    return `${unsigned}.${signature}`;
+}
+
+async function handleLocalToken(req, res, pathname) {
+    if (req.method !== 'POST') {
+        sendJson(res, 405, { success: false, error: 'Method not allowed' });
+        return;
+    }
+
+    let body;
+    try {
+        body = (await readRequestBody(req, 16 * 1024)).toString('utf8');
+    } catch (error) {
+        sendJson(res, error.statusCode || 400, { success: false, error: error.message });
+        return;
+    }
+
+    if (!requireRequestAuth(req, res, pathname, body)) return;
+
+    let details;
+    try {
+        details = JSON.parse(body);
+    } catch (error) {
+        sendJson(res, 400, { success: false, error: 'Invalid JSON body' });
+        return;
+    }
+
+    const roomName = (details && details.roomName) || TOKEN_GRANTS.room;
+    const participantName = details && details.participantName;
+
+    if (!SAFE_NAME_PATTERN.test(roomName || '') || !SAFE_NAME_PATTERN.test(participantName || '')) {
+        sendJson(res, 400, { success: false, error: 'roomName and participantName are required (letters, digits and _ . : @ -)' });
+        return;
+    }
+
+    if (TOKEN_GRANTS.room && roomName !== TOKEN_GRANTS.room) {
+        console.warn(`⚠️ Refused token for room ${roomName} (only ${TOKEN_GRANTS.room} is allowed)`);
+        sendJson(res, 403, { success: false, error: `Tokens are only issued for room ${TOKEN_GRANTS.room}` });
+        return;
+    }
+
+    console.log(`🔑 Issued local token for ${participantName} in room ${roomName}`);
+    sendJson(res, 200, { success: true, data: { token: mintToken(roomName, participantName), livekitUrl: LIVEKIT_URL } });
 }
 
 function proxyRequest(req, res, targetPath) {
@@ -95,16 +550,42 @@ function serveStaticFile(req, res, filePath) {
     const ext = path.extname(filePath);
     const mimeType = mimeTypes[ext] || 'application/octet-stream';
     
-    fs.readFile(filePath, (err, data) => {
-        if (err) {
+    fs.stat(filePath, (statErr, stats) => {
+        if (statErr || !stats.isFile()) {
             res.statusCode = 404;
             res.end('File not found');
             return;
         }
-        
+
+        // Validators let the dashboard poll its config files cheaply (conditional requests)
+        const etag = `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+        const lastModified = stats.mtime.toUTCString();
         setCorsHeaders(res);
-        res.setHeader('Content-Type', mimeType);
-        res.end(data);
+        res.setHeader('ETag', etag);
+        res.setHeader('Last-Modified', lastModified);
+        res.setHeader('Cache-Control', 'no-cache');
+
+        const ifNoneMatch = req.headers['if-none-match'];
+        const ifModifiedSince = req.headers['if-modified-since'];
+        const notModified = ifNoneMatch
+            ? ifNoneMatch === etag
+            : ifModifiedSince && Math.floor(stats.mtimeMs / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+        if (notModified) {
+            res.statusCode = 304;
+            res.end();
+            return;
+        }
+
+        fs.readFile(filePath, (err, data) => {
+            if (err) {
+                res.statusCode = 404;
+                res.end('File not found');
+                return;
+            }
+            
+            res.setHeader('Content-Type', mimeType);
+            res.end(data);
+        });
     });
 }
 
@@ -122,6 +603,18 @@ const server = http.createServer((req, res) => {
         return;
     }
     
+    // Issue tokens locally instead of asking the application server
+    if (TOKEN_MODE === 'local' && (pathname === '/api/token' || pathname === '/application-server/api/token')) {
+        handleLocalToken(req, res, pathname);
+        return;
+    }
+    
+    // No application server to ask in local token mode; report this proxy as the health endpoint
+    if (TOKEN_MODE === 'local' && (pathname === '/health' || pathname === '/application-server/health')) {
+        sendJson(res, 200, { status: 'healthy', tokenMode: TOKEN_MODE, timestamp: new Date().toISOString() });
+        return;
+    }
+    
     // Proxy API requests (handle both /api and /application-server/api paths)
     if (pathname.startsWith('/api')) {
         proxyRequest(req, res, '/application-server' + pathname + (parsedUrl.search || ''));
@@ -158,15 +651,32 @@ const server = http.createServer((req, res) => {
                 nodeEnv: process.env.NODE_ENV || 'development',
                 proxyTimeout: process.env.PROXY_TIMEOUT || 30000,
                 proxyMaxRedirects: process.env.PROXY_MAX_REDIRECTS || 5,
-                proxyVerifySSL: process.env.PROXY_VERIFY_SSL !== 'false'
+                proxyVerifySSL: process.env.PROXY_VERIFY_SSL !== 'false',
+                recordingsDir: RECORDINGS_DIR,
+                requestAuth: REQUEST_AUTH.type,
+                tokenMode: TOKEN_MODE,
+                livekitUrl: TOKEN_MODE === 'local' ? LIVEKIT_URL : undefined,
+                tokenGrants: TOKEN_MODE === 'local' ? TOKEN_GRANTS : undefined
             }
         }));
         return;
     }
     
+    // Recording uploads from the browser app
+    if (pathname.startsWith('/recordings/upload/')) {
+        handleRecordingUpload(req, res, pathname);
+        return;
+    }
+    
     // Serve static files
     let filePath = path.join(__dirname, pathname);
     
+    if (isInRecordingsDir(filePath)) {
+        res.statusCode = 404;
+        res.end('File not found');
+        return;
+    }
+    
     // If it's a directory or doesn't exist, serve index.html
     if (pathname === '/' || !fs.existsSync(filePath) || fs.statSync(filePath).isDirectory()) {
         filePath = path.join(__dirname, 'index.html');
@@ -242,8 +752,8 @@ wss.on('connection', (ws, request) => {
     });
 });
 
-server.listen(PORT, () => {
-    console.log(`\n🚀 Simple CORS proxy server running on http://localhost:${PORT}`);
+server.listen(PORT, HOST, () => {
+    console.log(`\n🚀 Simple CORS proxy server running on http://${HOST || 'localhost'}:${PORT}`);
     console.log(`📡 Proxying API requests to: ${TARGET_SERVER}`);
     console.log(`🔌 WebSocket proxy enabled for RTC connections`);
     console.log(`\n💡 To use this proxy, update your configuration to use:`);
@@ -251,6 +761,10 @@ server.listen(PORT, () => {
     console.log(`\n✅ Using only native Node.js modules - no dependencies!`);
 });
 
+// Drop staged uploads abandoned by their robots
+removeStaleUploads();
+setInterval(removeStaleUploads, 60 * 60 * 1000).unref();
+
 // Handle WebSocket upgrade requests
 server.on('upgrade', (request, socket, head) => {
     const pathname = url.parse(request.url).pathname;
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+class ConnectionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.status = status;
+    }
+}
+
+const { AppError, HttpRequestError } = loadScripts(['app-errors', 'http-client'], {
+    LivekitClient: { ConnectionError }
+});
+
+const mediaError = (name) => Object.assign(new Error(`${name} raised`), { name });
+
+test('AppError takes code, messages and retryability from its type', () => {
+    const error = new AppError('auth', 'HTTP 401', { status: 401 });
+
+    assert.equal(error.code, 'AUTH');
+    assert.equal(error.retryable, false);
+    assert.equal(error.status, 401);
+    assert.equal(error.message, 'HTTP 401');
+    assert.match(error.describe(), /^The application server rejected the robot credentials\. Check the auth settings/);
+});
+
+test('unknown types fall back to a retryable unknown error', () => {
+    const error = new AppError('gremlins', 'boom');
+
+    assert.equal(error.type, 'unknown');
+    assert.equal(error.code, 'UNKNOWN');
+    assert.equal(error.retryable, true);
+});
+
+test('from keeps errors that are already classified', () => {
+    const error = new AppError('auth', 'HTTP 403');
+
+    assert.equal(AppError.from(error), error);
+});
+
+test('from tells CORS failures from network failures and timeouts', () => {
+    const failure = new HttpRequestError('Failed to fetch');
+    const timeout = new HttpRequestError('timed out', { timedOut: true });
+
+    assert.equal(AppError.from(failure, { url: 'https://server.example/api/token' }).type, 'cors');
+    assert.equal(AppError.from(failure, { url: '/api/token' }).type, 'network');
+    assert.equal(AppError.from(failure).type, 'network');
+    assert.equal(AppError.from(timeout, { url: 'https://server.example/api/token' }).type, 'network');
+    assert.equal(AppError.from(failure).cause, failure);
+});
+
+test('from classifies LiveKit connection errors as signalling', () => {
+    const error = AppError.from(new ConnectionError('could not establish signal connection', 503));
+
+    assert.equal(error.type, 'signalling');
+    assert.equal(error.status, 503);
+    assert.equal(error.retryable, true);
+});
+
+test('from classifies getUserMedia failures', () => {
+    assert.equal(AppError.from(mediaError('NotAllowedError')).type, 'mediaPermission');
+    assert.equal(AppError.from(mediaError('SecurityError')).type, 'mediaPermission');
+    assert.equal(AppError.from(mediaError('NotFoundError')).type, 'deviceNotFound');
+    assert.equal(AppError.from(mediaError('OverconstrainedError')).retryable, false);
+});
+
+test('from wraps anything else as unknown', () => {
+    assert.equal(AppError.from(new TypeError('x is undefined')).type, 'unknown');
+    assert.equal(AppError.from('plain string').message, 'plain string');
+});
+
+test('fromResponse classifies HTTP statuses', () => {
+    const typeFor = (status) => AppError.fromResponse({ status, statusText: '' }).type;
+
+    assert.equal(typeFor(500), 'tokenServer');
+    assert.equal(typeFor(503), 'tokenServer');
+    assert.equal(typeFor(429), 'rateLimited');
+    assert.equal(typeFor(408), 'rateLimited');
+    assert.equal(typeFor(425), 'rateLimited');
+    assert.equal(typeFor(400), 'tokenRequest');
+    assert.equal(typeFor(404), 'tokenRequest');
+    assert.equal(AppError.fromResponse({ status: 429, statusText: '' }).retryable, true);
+    assert.equal(AppError.fromResponse({ status: 400, statusText: '' }).retryable, false);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+const { ConfigSchema } = loadScripts(['config-schema']);
+
+test('validate keeps valid values and reports nothing', () => {
+    const config = { robotId: 'robot-007', server: { endpoint: 'http://host:8080' }, masterVolume: 1.5, participantVolumes: { alice: 0.5 } };
+    const { value, errors } = ConfigSchema.validate(config, 'file');
+
+    assert.deepEqual(plain(value), config);
+    assert.deepEqual(plain(errors), []);
+});
+
+test('validate drops values of the wrong type or out of range', () => {
+    const { value, errors } = ConfigSchema.validate({
+        robotId: 7,
+        speaker: 'yes',
+        masterVolume: 3,
+        maxConnectionAttempts: 2.5,
+        participantVolumes: { alice: 0.5, bob: -1 }
+    }, 'file');
+
+    assert.deepEqual(plain(value), { participantVolumes: { alice: 0.5 } });
+    assert.deepEqual(plain(errors).map((error) => [error.layer, error.path]), [
+        ['file', 'robotId'],
+        ['file', 'speaker'],
+        ['file', 'masterVolume'],
+        ['file', 'maxConnectionAttempts'],
+        ['file', 'participantVolumes.bob']
+    ]);
+    assert.match(errors[2].message, /at most 2/);
+});
+
+test('validate reports unknown keys with the closest known key', () => {
+    const { value, errors } = ConfigSchema.validate({ robotID: 'robot-007', server: { endpont: 'x' } }, 'local');
+
+    assert.deepEqual(plain(value), { server: {} });
+    assert.equal(errors.length, 2);
+    assert.match(errors[0].message, /Unknown key "robotID" \(did you mean "robotId"\?\)/);
+    assert.match(errors[1].message, /Unknown key "server.endpont" \(did you mean "endpoint"\?\)/);
+});
+
+test('validate rejects a layer that is not an object', () => {
+    const { value, errors } = ConfigSchema.validate(['robot-007'], 'file');
+
+    assert.deepEqual(plain(value), {});
+    assert.equal(errors[0].message, 'Configuration must be a JSON object');
+});
+
+test('checkRequired reports missing and empty required keys', () => {
+    const errors = ConfigSchema.checkRequired({ robotId: '', server: {} });
+
+    assert.deepEqual(plain(errors).map((error) => error.path), ['robotId', 'server.endpoint']);
+});
+
+test('deepMerge merges objects, replaces arrays and leaves its inputs alone', () => {
+    const defaults = { server: { endpoint: 'http://localhost:3000' }, features: { a: true, b: true }, list: [1, 2] };
+    const file = { features: { b: false }, list: [3], robotId: 'robot-001' };
+    const local = { robotId: 'robot-007', server: undefined };
+
+    const merged = ConfigSchema.deepMerge(defaults, file, null, local);
+
+    assert.deepEqual(plain(merged), {
+        server: { endpoint: 'http://localhost:3000' },
+        features: { a: true, b: false },
+        list: [3],
+        robotId: 'robot-007'
+    });
+    assert.deepEqual(defaults.features, { a: true, b: true });
+    merged.list.push(4);
+    assert.deepEqual(file.list, [3]);
+});
+
+test('diff lists changed leaf paths', () => {
+    const changes = ConfigSchema.diff(
+        { robotId: 'a', server: { endpoint: 'x' }, list: [1] },
+        { robotId: 'a', server: { endpoint: 'y' }, list: [1, 2], speaker: false }
+    );
+
+    assert.deepEqual(plain(changes), [
+        { path: 'server.endpoint', from: 'x', to: 'y' },
+        { path: 'list', from: [1], to: [1, 2] },
+        { path: 'speaker', to: false }
+    ]);
+});
+
+test('coerce converts query strings to the schema type', () => {
+    assert.equal(ConfigSchema.coerce('false', ConfigSchema.getNode('speaker')), false);
+    assert.equal(ConfigSchema.coerce('1', ConfigSchema.getNode('speaker')), true);
+    assert.equal(ConfigSchema.coerce('1.5', ConfigSchema.getNode('masterVolume')), 1.5);
+    assert.equal(ConfigSchema.coerce('loud', ConfigSchema.getNode('masterVolume')), 'loud');
+    assert.equal(ConfigSchema.coerce('robot-007', ConfigSchema.getNode('robotId')), 'robot-007');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, plain } = require('./helpers/browser-env');
+
+/**
+ * Create a ConfigService with the given query string and injected configuration
+ */
+function createService({ search = '', injected } = {}) {
+    const context = loadScripts(['config-schema', 'settings-store', 'config-service'], {
+        location: { href: `http://localhost:8080/${search}`, origin: 'http://localhost:8080', hostname: 'localhost', search },
+        __ROBOT_CONFIG__: injected
+    });
+    const service = new context.ConfigService();
+    service.loadOverrides();
+    return service;
+}
+
+test('URL parameters override whitelisted keys with schema types', () => {
+    const service = createService({ search: '?robotId=robot-007&endpoint=http://host:8080&speaker=false' });
+
+    assert.equal(service.getRobotId(), 'robot-007');
+    assert.equal(service.appConfig.server.endpoint, 'http://host:8080');
+    assert.equal(service.appConfig.speaker, false);
+    assert.deepEqual(plain(service.getValidationErrors()), []);
+});
+
+test('URL parameters outside the whitelist are reported and ignored', () => {
+    const service = createService({ search: '?robotId=robot-007&production=true&features.debugMode=true' });
+
+    assert.equal(service.appConfig.production, false);
+    assert.deepEqual(plain(service.getValidationErrors()).map((error) => [error.layer, error.path]), [
+        ['url', 'production'],
+        ['url', 'features.debugMode']
+    ]);
+    assert.match(service.getValidationErrors()[0].message, /cannot be overridden \(allowed: robotId, /);
+});
+
+test('URL values failing validation are dropped', () => {
+    const service = createService({ search: '?speaker=loud' });
+
+    assert.equal(service.appConfig.speaker, true);
+    assert.match(service.getValidationErrors()[0].message, /"speaker" must be a boolean/);
+});
+
+test('window.__ROBOT_CONFIG__ is applied below the URL', () => {
+    const service = createService({
+        search: '?robotId=robot-url',
+        injected: { robotId: 'robot-injected', livekitUrl: 'ws://livekit:7880', theme: 'dark' }
+    });
+
+    assert.equal(service.getRobotId(), 'robot-url');
+    assert.equal(service.appConfig.livekitServer.url, 'ws://livekit:7880');
+    assert.equal(service.appConfig.ui.theme, 'dark');
+});
+
+test('a window.__ROBOT_CONFIG__ that is not an object is reported', () => {
+    const service = createService({ injected: 'robot-007' });
+
+    assert.equal(service.getRobotId(), 'robot-001');
+    assert.equal(service.getValidationErrors()[0].message, 'window.__ROBOT_CONFIG__ must be an object');
+});
+
+test('credentials are accepted from window.__ROBOT_CONFIG__ but not from the URL', () => {
+    const service = createService({
+        search: '?authToken=from-url',
+        injected: { authType: 'bearer', apiKey: 'from-launcher' }
+    });
+
+    assert.equal(service.getAuthConfig().type, 'bearer');
+    assert.equal(service.getAuthConfig().apiKey, 'from-launcher');
+    assert.equal(service.getAuthConfig().token, '');
+    assert.match(service.getValidationErrors()[0].message, /"authToken" is only accepted from window.__ROBOT_CONFIG__/);
+});
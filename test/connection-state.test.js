@@ -0,0 +1,140 @@
+const test = require('node:test');
+const vm = require('vm');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+const context = loadScripts(['app-errors', 'connection-state'], {
+    CustomEvent: class CustomEvent {
+        constructor(type, { detail }) {
+            this.type = type;
+            this.detail = detail;
+        }
+    }
+});
+const { ConnectionStateMachine, AppError } = context;
+const contextMath = vm.runInContext('Math', context);
+
+/**
+ * Create a state machine with a reconnect policy; random() fixes the backoff jitter
+ */
+function createMachine({ attempts = 3, delay = 1000, maxDelay = 8000, unlimited = false, random = 1 } = {}) {
+    contextMath.random = () => random;
+    const machine = new ConnectionStateMachine({
+        getMaxConnectionAttempts: () => attempts,
+        getReconnectDelay: () => delay,
+        getMaxReconnectDelay: () => maxDelay,
+        isFeatureEnabled: (name) => name === 'unlimitedReconnect' && unlimited
+    });
+    const transitions = [];
+    machine.onTransition((event) => transitions.push(`${event.from}->${event.to}`));
+    return { machine, transitions };
+}
+
+test('follows the join, drop and leave transitions', () => {
+    const { machine, transitions } = createMachine();
+
+    assert.equal(machine.transition('connecting'), true);
+    assert.equal(machine.transition('connected'), true);
+    assert.equal(machine.transition('reconnecting'), true);
+    assert.equal(machine.transition('connected'), true);
+    assert.equal(machine.transition('idle'), true);
+    assert.deepEqual(transitions, [
+        'idle->connecting', 'connecting->connected', 'connected->reconnecting', 'reconnecting->connected', 'connected->idle'
+    ]);
+});
+
+test('ignores transitions the state does not allow', () => {
+    const { machine, transitions } = createMachine();
+
+    assert.equal(machine.transition('connected'), false);
+    assert.equal(machine.transition('backing-off'), false);
+    assert.equal(machine.state, 'idle');
+    assert.deepEqual(transitions, []);
+});
+
+test('backs off exponentially up to the maximum delay', () => {
+    const { machine } = createMachine({ delay: 1000, maxDelay: 5000 });
+
+    assert.deepEqual([0, 1, 2, 3, 10].map((attempt) => machine.getBackoffDelay(attempt)), [1000, 2000, 4000, 5000, 5000]);
+});
+
+test('jitter keeps the delay between half and all of the backoff', () => {
+    assert.equal(createMachine({ delay: 1000, random: 0 }).machine.getBackoffDelay(1), 1000);
+    assert.equal(createMachine({ delay: 1000, random: 0.5 }).machine.getBackoffDelay(1), 1500);
+});
+
+test('a zero reconnect delay is raised to the minimum', () => {
+    const { machine } = createMachine({ delay: 0, maxDelay: 0 });
+
+    assert.equal(machine.getBackoffDelay(0), 500);
+    assert.equal(machine.getBackoffDelay(5), 500);
+});
+
+test('schedules reconnects until the attempts are used up', () => {
+    const { machine, transitions } = createMachine({ attempts: 2 });
+    const reconnects = [];
+    machine.transition('connecting');
+
+    assert.equal(machine.scheduleReconnect(null, () => reconnects.push(machine.state)), true);
+    assert.equal(machine.state, 'backing-off');
+    assert.ok(machine.getStatus().nextRetryAt);
+
+    assert.equal(machine.retryNow(), true);
+    assert.deepEqual(reconnects, ['reconnecting']);
+
+    assert.equal(machine.scheduleReconnect(null, () => {}), true);
+    machine.retryNow();
+    assert.equal(machine.scheduleReconnect(null, () => {}), false);
+    assert.equal(machine.state, 'failed');
+    assert.deepEqual(transitions, [
+        'idle->connecting', 'connecting->backing-off', 'backing-off->reconnecting',
+        'reconnecting->backing-off', 'backing-off->reconnecting', 'reconnecting->failed'
+    ]);
+});
+
+test('unlimited reconnects never give up', () => {
+    const { machine } = createMachine({ attempts: 1, unlimited: true });
+    machine.transition('connecting');
+
+    for (let i = 0; i < 5; i++) {
+        assert.equal(machine.scheduleReconnect(null, () => {}), true);
+        machine.retryNow();
+    }
+    assert.equal(machine.getStatus().maxAttempts, null);
+    machine.cancelReconnect();
+});
+
+test('non-retryable errors fail right away', () => {
+    const { machine } = createMachine();
+    machine.transition('connecting');
+
+    assert.equal(machine.scheduleReconnect(new AppError('auth', 'HTTP 401'), () => {}), false);
+    assert.equal(machine.state, 'failed');
+    assert.equal(machine.getStatus().lastError.code, 'AUTH');
+});
+
+test('a connection resets the attempt count', () => {
+    const { machine } = createMachine({ attempts: 1 });
+    machine.transition('connecting');
+    machine.scheduleReconnect(null, () => {});
+    machine.retryNow();
+    machine.transition('connected');
+
+    assert.equal(machine.attempt, 0);
+    assert.equal(machine.scheduleReconnect(null, () => {}), true);
+    machine.cancelReconnect();
+});
+
+test('while paused, backing off waits for resume and uses no attempts', () => {
+    const { machine } = createMachine({ attempts: 1 });
+    const reconnects = [];
+    machine.transition('connecting');
+    machine.setPaused(true);
+
+    assert.equal(machine.scheduleReconnect(null, () => reconnects.push(machine.state)), true);
+    assert.equal(machine.attempt, 0);
+    assert.equal(machine.retryTimer, null);
+
+    machine.setPaused(false);
+    assert.deepEqual(reconnects, ['reconnecting']);
+});
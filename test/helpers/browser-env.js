@@ -0,0 +1,76 @@
+/**
+ * Test environment for the dashboard's browser scripts
+ * Loads files from js/ as classic scripts into a fresh vm context whose global object doubles as
+ * window, the way index.html loads them. Objects created inside the context have its own
+ * prototypes, so compare them with plain() rather than deepStrictEqual on the originals.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'js');
+
+const silentConsole = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * In-memory Storage (localStorage) implementation
+ * @param {Object} entries - Initial key -> string entries
+ * @returns {Object} Storage
+ */
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear(),
+        get length() {
+            return items.size;
+        }
+    };
+}
+
+/**
+ * Load browser scripts into a new context
+ * @param {Array<string>} scripts - File names under js/ (without .js), in index.html order
+ * @param {Object} globals - Extra or replaced globals (e.g. location, localStorage, crypto)
+ * @returns {Object} The context; modules are available as context.<ExportedName>
+ */
+function loadScripts(scripts, globals = {}) {
+    const context = vm.createContext({
+        console: silentConsole,
+        URL,
+        URLSearchParams,
+        TextEncoder,
+        atob,
+        btoa,
+        AbortController,
+        // Resolved per call so node:test timer mocks also apply inside the context
+        setTimeout: (...args) => setTimeout(...args),
+        clearTimeout: (...args) => clearTimeout(...args),
+        location: { href: 'http://localhost:8080/', origin: 'http://localhost:8080', hostname: 'localhost', search: '' },
+        localStorage: createStorage(),
+        addEventListener() {},
+        dispatchEvent() {},
+        ...globals
+    });
+    context.window = context;
+
+    scripts.forEach((name) => {
+        const file = path.join(JS_DIR, `${name}.js`);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+    });
+
+    return context;
+}
+
+/**
+ * @param {any} value - Value created inside a context
+ * @returns {any} JSON copy with this realm's prototypes
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadScripts, createStorage, plain };
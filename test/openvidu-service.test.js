@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/browser-env');
+
+const { OpenViduV3Service } = loadScripts(['http-client', 'openvidu-service']);
+
+const configService = {
+    getServers: () => [{ endpoint: 'http://localhost:3000' }],
+    getApiConfig: () => ({ tokenRefreshMargin: 60000 }),
+    getHttpConfig: () => ({ timeout: 1000, retries: 0, retryDelay: 0, maxRetryDelay: 0 })
+};
+
+/**
+ * Build an unsigned JWT with the given claims (the service never verifies signatures)
+ */
+function createToken(claims) {
+    const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+    return `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(claims)}.signature`;
+}
+
+/**
+ * Cache a token and return its entry, without leaving a refresh timer behind
+ */
+function cache(claims) {
+    const service = new OpenViduV3Service(configService);
+    const entry = service.cacheToken('room/robot', 'room', 'robot', createToken(claims), 'ws://livekit');
+    const cached = service.tokenCache.get('room/robot');
+    service.clearTokens();
+    return { entry, cached };
+}
+
+test('decodeToken reads base64url claims', () => {
+    const service = new OpenViduV3Service(configService);
+    // "~~~" and "???" encode to base64url characters that plain atob rejects
+    const claims = { sub: 'robot~~~', name: 'robot???', exp: 1700000000 };
+
+    assert.equal(service.decodeToken(createToken(claims)).sub, 'robot~~~');
+    assert.equal(service.decodeToken(createToken(claims)).name, 'robot???');
+    assert.equal(service.decodeToken(createToken(claims)).exp, 1700000000);
+});
+
+test('decodeToken returns null for malformed tokens', () => {
+    const service = new OpenViduV3Service(configService);
+
+    assert.equal(service.decodeToken('not-a-jwt'), null);
+    assert.equal(service.decodeToken('a.!!!.c'), null);
+});
+
+test('expiry is measured from the issue time, not the robot clock', () => {
+    // Claims from a server clock a day ahead of the robot
+    const serverNow = Math.floor(Date.now() / 1000) + 86400;
+    const before = Date.now();
+    const { entry } = cache({ iat: serverNow, exp: serverNow + 3600 });
+
+    assert.ok(entry.expiresAt >= before + 3600 * 1000);
+    assert.ok(entry.expiresAt <= Date.now() + 3600 * 1000);
+    assert.equal(entry.refreshMargin, 60000);
+});
+
+test('nbf is used when iat is missing', () => {
+    const serverNow = Math.floor(Date.now() / 1000) - 86400;
+    const { entry } = cache({ nbf: serverNow, exp: serverNow + 600 });
+
+    assert.ok(Math.abs(entry.expiresAt - (Date.now() + 600 * 1000)) < 1000);
+});
+
+test('without iat or nbf, exp is compared with the robot clock', () => {
+    const { entry } = cache({ exp: Math.floor(Date.now() / 1000) + 300 });
+
+    assert.ok(Math.abs(entry.expiresAt - (Date.now() + 300 * 1000)) < 1000);
+});
+
+test('short-lived tokens are refreshed halfway through', () => {
+    const now = Math.floor(Date.now() / 1000);
+    const { entry } = cache({ iat: now, exp: now + 60 });
+
+    assert.equal(entry.refreshMargin, 30000);
+});
+
+test('tokens without a numeric exp are not cached', () => {
+    assert.equal(cache({ sub: 'robot' }).cached, undefined);
+    assert.equal(cache({ exp: 'tomorrow' }).cached, undefined);
+});
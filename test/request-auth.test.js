@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { loadScripts } = require('./helpers/browser-env');
+
+const SCRIPTS = ['app-errors', 'http-client', 'sha256', 'request-auth'];
+
+// No window.crypto: the pure JS fallback, as on robots served over plain http
+const fallback = loadScripts(SCRIPTS, { crypto: undefined });
+// Web Crypto, as in secure contexts
+const webCrypto = loadScripts(SCRIPTS, { crypto: globalThis.crypto });
+
+const hmac = (secret, message) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+test('sha256Fallback matches Node crypto around block boundaries', () => {
+    [0, 1, 55, 56, 63, 64, 65, 119, 120, 1000].forEach((length) => {
+        const bytes = crypto.randomBytes(length);
+        assert.equal(
+            fallback.sha256Fallback(new Uint8Array(bytes)),
+            crypto.createHash('sha256').update(bytes).digest('hex'),
+            `${length} bytes`
+        );
+    });
+});
+
+test('sha256Fallback accepts an ArrayBuffer', () => {
+    const bytes = Buffer.from('robot audio');
+    const buffer = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+
+    assert.equal(fallback.sha256Fallback(buffer), crypto.createHash('sha256').update(bytes).digest('hex'));
+});
+
+test('HMAC fallback matches Node crypto', async () => {
+    const cases = [
+        ['secret', ''],
+        ['secret', '1700000000\nPOST\n/api/token\n{"roomName":"robot-001"}'],
+        ['ключ', 'ünïcödé message ✓'],
+        ['k'.repeat(64), 'key of exactly one block'],
+        ['k'.repeat(100), 'key longer than a block is hashed first']
+    ];
+
+    for (const [secret, message] of cases) {
+        assert.equal(await fallback.RequestAuth.hmacSha256(secret, message), hmac(secret, message), `secret of ${secret.length} chars`);
+    }
+});
+
+test('HMAC fallback and Web Crypto agree', async () => {
+    const message = '1700000000\nPUT\n/recordings/upload/u1/chunks/0\nabc';
+
+    assert.equal(
+        await fallback.RequestAuth.hmacSha256('secret', message),
+        await webCrypto.RequestAuth.hmacSha256('secret', message)
+    );
+});
+
+test('hmac auth headers carry a verifiable signature', async () => {
+    const configService = {
+        getAuthConfig: () => ({ type: 'hmac', secret: 'secret', apiKeyHeader: 'X-API-Key' }),
+        getRobotId: () => 'robot-007'
+    };
+    const body = '{"roomName":"robot-001"}';
+
+    const headers = await fallback.RequestAuth.getHeaders(configService, {
+        method: 'post',
+        url: 'http://localhost:8080/api/token?x=1',
+        body
+    });
+
+    assert.equal(headers['X-Robot-Id'], 'robot-007');
+    assert.equal(headers['X-Signature'], hmac('secret', `${headers['X-Timestamp']}\nPOST\n/api/token\n${body}`));
+});
+
+test('missing credentials and unknown auth types raise AuthError', async () => {
+    const getHeaders = (auth) => fallback.RequestAuth.getHeaders({
+        getAuthConfig: () => ({ apiKeyHeader: 'X-API-Key', ...auth }),
+        getRobotId: () => 'robot-007'
+    }, { method: 'GET', url: '/api/token' });
+
+    await assert.rejects(getHeaders({ type: 'hmac' }), { name: 'AuthError', message: /auth.secret is not set/ });
+    await assert.rejects(getHeaders({ type: 'bearer' }), { name: 'AuthError', message: /auth.token is not set/ });
+    await assert.rejects(getHeaders({ type: 'kerberos' }), { name: 'AuthError', message: /Unknown auth.type "kerberos"/ });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const vm = require('vm');
+const assert = require('node:assert/strict');
+const { loadScripts, createStorage, plain } = require('./helpers/browser-env');
+
+const context = loadScripts(['config-schema', 'settings-store']);
+const { SettingsStore } = context;
+const SETTINGS_VERSION = vm.runInContext('SETTINGS_VERSION', context);
+
+const SETTINGS_KEY = 'robotAudioRecorderSettings';
+const LEGACY_KEY = 'robotAudioRecorderConfig';
+
+test('legacy settings are migrated to the current version', () => {
+    const storage = createStorage({
+        [LEGACY_KEY]: JSON.stringify({ robotId: 'robot-007', audioDevice: '', speaker: false, production: true })
+    });
+
+    const values = new SettingsStore(storage).load();
+
+    assert.deepEqual(plain(values), { robotId: 'robot-007', speaker: false });
+    assert.equal(storage.getItem(LEGACY_KEY), null);
+
+    const stored = JSON.parse(storage.getItem(SETTINGS_KEY));
+    assert.equal(stored.version, SETTINGS_VERSION);
+    assert.deepEqual(stored.values, { robotId: 'robot-007', speaker: false });
+});
+
+test('a selected audio device survives the migration', () => {
+    const storage = createStorage({ [LEGACY_KEY]: JSON.stringify({ audioDevice: 'usb-mic' }) });
+
+    assert.deepEqual(plain(new SettingsStore(storage).load()), { audioDevice: 'usb-mic' });
+});
+
+test('current settings load without migrating or rewriting', () => {
+    const text = JSON.stringify({ version: SETTINGS_VERSION, savedAt: 'then', values: { audioDevice: '', masterVolume: 1.5 } });
+    const storage = createStorage({ [SETTINGS_KEY]: text });
+
+    assert.deepEqual(plain(new SettingsStore(storage).load()), { audioDevice: '', masterVolume: 1.5 });
+    assert.equal(storage.getItem(SETTINGS_KEY), text);
+});
+
+test('settings from a newer version keep the keys this version knows', () => {
+    const storage = createStorage({
+        [SETTINGS_KEY]: JSON.stringify({ version: 99, values: { speaker: false, futureKey: 1 } })
+    });
+
+    assert.deepEqual(plain(new SettingsStore(storage).load()), { speaker: false });
+});
+
+test('unreadable settings load as empty', () => {
+    assert.deepEqual(plain(new SettingsStore(createStorage({ [SETTINGS_KEY]: '{not json' })).load()), {});
+    assert.deepEqual(plain(new SettingsStore(createStorage({ [SETTINGS_KEY]: '[1, 2]' })).load()), {});
+    assert.deepEqual(plain(new SettingsStore(createStorage()).load()), {});
+});
+
+test('save keeps only persisted keys and clear removes both formats', () => {
+    const storage = createStorage({ [LEGACY_KEY]: '{}' });
+    const store = new SettingsStore(storage);
+
+    assert.equal(store.save({ robotId: 'robot-007', production: true }), true);
+    assert.deepEqual(JSON.parse(storage.getItem(SETTINGS_KEY)).values, { robotId: 'robot-007' });
+
+    store.clear();
+    assert.equal(storage.length, 0);
+});